@@ -0,0 +1,114 @@
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+
+const log = createLogger('auditLog');
+
+// Admin actions, one JSON object per line (append-only)
+const AUDIT_FILE = path.join(__dirname, '../storage/audit.log');
+
+// Bytes read per step when reading the log from the end
+const TAIL_CHUNK_SIZE = 64 * 1024;
+
+// Most recent entry (undefined until first read from the file)
+let lastEntry;
+
+/**
+ * Append admin action to the audit log
+ * @param {Object} req - Express request (client address is recorded)
+ * @param {string} action - Action name (e.g., "rebuild", "pin")
+ * @param {Object} details - Action parameters and outcome
+ * @returns {Object} Recorded entry
+ */
+function recordAudit(req, action, details = {}) {
+  const entry = {
+    at: new Date().toISOString(),
+    action: action,
+    ip: req.ip,
+    ...details
+  };
+
+  try {
+    fs.mkdirSync(path.dirname(AUDIT_FILE), { recursive: true });
+    fs.appendFileSync(AUDIT_FILE, `${JSON.stringify(entry)}\n`, 'utf8');
+    lastEntry = entry;
+  } catch (error) {
+    log.warn(`Could not write audit log: ${error.message}`);
+  }
+
+  log.info(`Admin action: ${action} ${JSON.stringify(details)}`);
+  return entry;
+}
+
+/**
+ * Read last lines of the audit log without reading the whole file
+ * @param {number} limit - Number of lines
+ * @returns {Array<string>} Lines, oldest first
+ */
+function readLastLines(limit) {
+  const fd = fs.openSync(AUDIT_FILE, 'r');
+
+  try {
+    const chunks = [];
+    let position = fs.fstatSync(fd).size;
+    let newlines = 0;
+
+    // The file ends with a newline, so limit lines need limit + 1 of them
+    while (position > 0 && newlines <= limit) {
+      const length = Math.min(TAIL_CHUNK_SIZE, position);
+      position -= length;
+      const chunk = Buffer.alloc(length);
+      fs.readSync(fd, chunk, 0, length, position);
+      chunks.unshift(chunk);
+      newlines += chunk.filter(byte => byte === 0x0a).length;
+    }
+
+    const lines = Buffer.concat(chunks).toString('utf8').split('\n');
+    // First line is partial unless the start of the file was reached
+    if (position > 0) lines.shift();
+    return lines.filter(Boolean).slice(-limit);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Read latest audit entries
+ * @param {number} limit - Maximum number of entries
+ * @returns {Array<Object>} Entries, newest first
+ */
+function readAuditLog(limit = 100) {
+  if (!fs.existsSync(AUDIT_FILE)) {
+    return [];
+  }
+
+  const entries = [];
+
+  for (const line of readLastLines(limit).reverse()) {
+    try {
+      entries.push(JSON.parse(line));
+    } catch (error) {
+      // Skip truncated line (e.g., crash while appending)
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Get most recent admin action
+ * Read from the file once, then kept up to date by recordAudit (polled by /health).
+ * @returns {Object|null}
+ */
+function getLastAuditEntry() {
+  if (lastEntry === undefined) {
+    lastEntry = readAuditLog(1)[0] || null;
+  }
+  return lastEntry;
+}
+
+module.exports = {
+  recordAudit,
+  readAuditLog,
+  getLastAuditEntry
+};
@@ -0,0 +1,248 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createLogger, onLog } = require('./logger');
+const { buildsTotal, buildDuration, buildStepDuration } = require('./metrics');
+
+const log = createLogger('buildHistory');
+
+// One JSON file per build run
+const BUILDS_DIR = path.join(__dirname, '../storage/builds');
+
+// How many build records to keep (oldest are removed)
+const MAX_BUILD_HISTORY = parseInt(process.env.MAX_BUILD_HISTORY, 10) || 50;
+
+// Captured log lines per build (a stuck download can log a lot)
+const MAX_LOG_LINES = 5000;
+
+// Minimum time between record writes for progress-only step updates (download ticks)
+const PROGRESS_WRITE_INTERVAL_MS = 1000;
+
+// Build ids look like "20251017T100000Z-1a2b"
+const BUILD_ID_PATTERN = /^\d{8}T\d{6}Z-[0-9a-f]{4}$/;
+
+/**
+ * Create sortable build id from start time
+ * @param {Date} date - Build start time
+ * @returns {string}
+ */
+function createBuildId(date) {
+  const stamp = date.toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+  return `${stamp}-${crypto.randomBytes(2).toString('hex')}`;
+}
+
+/**
+ * Get record file path for a build id
+ * @param {string} id - Build id
+ * @returns {string}
+ */
+function getRecordPath(id) {
+  return path.join(BUILDS_DIR, `${id}.json`);
+}
+
+/**
+ * Write build record to storage
+ * @param {Object} record - Build record
+ */
+function writeRecord(record) {
+  fs.mkdirSync(BUILDS_DIR, { recursive: true });
+  const recordPath = getRecordPath(record.id);
+  const tempPath = `${recordPath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(record, null, 2), 'utf8');
+  fs.renameSync(tempPath, recordPath);
+}
+
+/**
+ * Read build record from storage
+ * @param {string} id - Build id
+ * @returns {Object|null}
+ */
+function readRecord(id) {
+  if (!BUILD_ID_PATTERN.test(id) || !fs.existsSync(getRecordPath(id))) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(getRecordPath(id), 'utf8'));
+  } catch (error) {
+    log.warn(`Could not read build record ${id}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * List build ids, newest first
+ * @returns {Array<string>}
+ */
+function listBuildIds() {
+  if (!fs.existsSync(BUILDS_DIR)) {
+    return [];
+  }
+
+  return fs.readdirSync(BUILDS_DIR)
+    .filter(name => name.endsWith('.json'))
+    .map(name => name.slice(0, -'.json'.length))
+    .filter(id => BUILD_ID_PATTERN.test(id))
+    .sort()
+    .reverse();
+}
+
+/**
+ * Remove oldest build records over the limit
+ */
+function pruneHistory() {
+  for (const id of listBuildIds().slice(MAX_BUILD_HISTORY)) {
+    fs.unlinkSync(getRecordPath(id));
+  }
+}
+
+/**
+ * Start recording a build run
+ * Captures log entries tagged with its build id until finish() is called.
+ * @param {Object} updateInfo - Update info from checkForUpdate
+ * @param {string} trigger - What started the build (e.g., "scheduler", "admin", "download")
+ * @returns {{id: string, stepChanged: Function, finish: Function}} Build recorder
+ */
+function createBuildRecorder(updateInfo, trigger) {
+  const startedAt = new Date();
+  const record = {
+    id: createBuildId(startedAt),
+    version: updateInfo.latestVersion,
+    trigger: trigger,
+    sourceFile: updateInfo.fileName || null,
+    sourceSize: updateInfo.size || null,
+    sourceMd5: updateInfo.md5 || null,
+    sourceSha256: updateInfo.sha256 || null,
+    archiveSha256: null,
+    configOverlays: null,
+    validation: null,
+    malwareScan: null,
+    startedAt: startedAt.toISOString(),
+    finishedAt: null,
+    durationMs: null,
+    result: 'running',
+    error: null,
+    steps: [],
+    log: []
+  };
+
+  const stopCapture = onLog((entry, line) => {
+    if (entry.buildId !== record.id) {
+      return;
+    }
+    if (record.log.length < MAX_LOG_LINES) {
+      record.log.push(line);
+    } else if (record.log.length === MAX_LOG_LINES) {
+      record.log.push(`... log truncated after ${MAX_LOG_LINES} lines`);
+    }
+  });
+
+  writeRecord(record);
+  pruneHistory();
+  let lastWriteAt = Date.now();
+
+  /**
+   * Track step timing
+   * @param {{id: number, name: string}} step - Build step
+   * @param {string} status - New status (in-progress, completed, failed)
+   * @param {string} detail - Step detail
+   */
+  function stepChanged(step, status, detail = '') {
+    let entry = record.steps.find(s => s.id === step.id);
+    if (!entry) {
+      entry = { id: step.id, name: step.name, status: 'pending', detail: '', startedAt: null, durationMs: null };
+      record.steps.push(entry);
+    }
+
+    const now = new Date();
+    const previousStatus = entry.status;
+    // Progress updates of a running step keep its start time
+    if (!entry.startedAt || (status === 'in-progress' && entry.status !== 'in-progress')) {
+      entry.startedAt = now.toISOString();
+    }
+    if (status !== 'in-progress') {
+      entry.durationMs = now - new Date(entry.startedAt);
+    }
+    entry.status = status;
+    entry.detail = detail;
+
+    if (status !== 'in-progress' && status !== previousStatus) {
+      buildStepDuration.observe({ step: step.id, name: step.name, status }, entry.durationMs / 1000);
+    }
+
+    // Skipped progress updates are written with the next status change or finish()
+    if (status === previousStatus && now - lastWriteAt < PROGRESS_WRITE_INTERVAL_MS) {
+      return;
+    }
+    writeRecord(record);
+    lastWriteAt = now.getTime();
+  }
+
+  /**
+   * Finish build record
+   * @param {string} result - "success", "failed", "cancelled" or "quarantined"
+   * @param {Object} details - Optional error, archiveSha256, configOverlays, validation and malwareScan reports
+   */
+  function finish(result, details = {}) {
+    stopCapture();
+
+    const finishedAt = new Date();
+    record.finishedAt = finishedAt.toISOString();
+    record.durationMs = finishedAt - startedAt;
+    record.result = result;
+    record.error = details.error || null;
+    record.archiveSha256 = details.archiveSha256 || null;
+    record.configOverlays = details.configOverlays || null;
+    record.validation = details.validation || null;
+    record.malwareScan = details.malwareScan || null;
+
+    buildsTotal.inc({ result });
+    buildDuration.observe({ result }, record.durationMs / 1000);
+
+    writeRecord(record);
+  }
+
+  return { id: record.id, stepChanged, finish };
+}
+
+/**
+ * Mark builds left running by a previous process as interrupted
+ */
+function markInterruptedBuilds() {
+  for (const id of listBuildIds()) {
+    const record = readRecord(id);
+    if (record && record.result === 'running') {
+      record.result = 'interrupted';
+      record.error = 'Server restarted during build';
+      writeRecord(record);
+      log.info(`Marked build ${id} as interrupted`);
+    }
+  }
+}
+
+/**
+ * List build records without captured logs, newest first
+ * @returns {Array<Object>}
+ */
+function listBuilds() {
+  return listBuildIds()
+    .map(readRecord)
+    .filter(Boolean)
+    .map(({ log: lines, ...summary }) => ({ ...summary, logLines: lines.length }));
+}
+
+/**
+ * Get full build record incl. captured log
+ * @param {string} id - Build id
+ * @returns {Object|null}
+ */
+function getBuild(id) {
+  return readRecord(id);
+}
+
+module.exports = {
+  createBuildRecorder,
+  markInterruptedBuilds,
+  listBuilds,
+  getBuild
+};
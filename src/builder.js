@@ -1,142 +1,361 @@
 const fs = require('fs');
 const path = require('path');
 const AdmZip = require('adm-zip');
+const archiver = require('archiver');
 const {
   copyDirectory,
   deleteDirectory,
   saveCurrentVersion,
-  log
+  runPhase
 } = require('./utils');
+const { createLogger } = require('./logger');
+const { storeVersion } = require('./versionStore');
+const { scanMods, createModInventory, saveModpackScan } = require('./modScanner');
+const { loadRules, decideMod } = require('./modRules');
+const { getStartScripts } = require('./serverVariants');
+const { createFileManifest } = require('./updatePackages');
+const { writeVerifyScripts, writeSha256Sums } = require('./checksums');
+const { createChangelog, writeChangelogFile } = require('./changelog');
+const { applyConfigOverlays } = require('./configOverlays');
+const { validateServer, summarizeIssues, createValidationError } = require('./serverValidator');
+const { scanServerJars, quarantineJars, createQuarantineError } = require('./malwareScanner');
 
-// Client-side mods that must be removed from server
-const CLIENT_SIDE_MODS = [
-  'OptiFine_1.7.10_HD_U_E7.jar',
-  'ResourceLoader-MC1.7.10-1.3.jar',
-  'CustomMainMenu-MC1.7.10-1.9.2.jar',
-  'MapWriter-2.1.21-II-Edition.jar'
-];
+const log = createLogger('builder');
+
+// Per-phase time limits (0 disables)
+const EXTRACT_TIMEOUT_MINUTES = parseFloat(process.env.BUILD_EXTRACT_TIMEOUT_MINUTES || '15');
+const ARCHIVE_TIMEOUT_MINUTES = parseFloat(process.env.BUILD_ARCHIVE_TIMEOUT_MINUTES || '20');
+const VALIDATE_TIMEOUT_MINUTES = parseFloat(process.env.BUILD_VALIDATE_TIMEOUT_MINUTES || '10');
+const SCAN_TIMEOUT_MINUTES = parseFloat(process.env.BUILD_SCAN_TIMEOUT_MINUTES || '10');
+
+// Modpack archive limits checked before extraction (zip bombs, runaway archives)
+const MODPACK_MAX_ENTRIES = parseInt(process.env.MODPACK_MAX_ENTRIES, 10) || 100000;
+const MODPACK_MAX_UNCOMPRESSED_MB = parseInt(process.env.MODPACK_MAX_UNCOMPRESSED_MB, 10) || 8192;
+const MODPACK_MAX_COMPRESSION_RATIO = parseInt(process.env.MODPACK_MAX_COMPRESSION_RATIO, 10) || 100;
+
+// Entries smaller than this skip the compression ratio check (tiny text files compress very well)
+const RATIO_CHECK_MIN_BYTES = 1024 * 1024;
+
+// Unix file type bits in the upper half of the external attributes
+const UNIX_FILE_TYPE_MASK = 0o170000;
+const UNIX_SYMLINK = 0o120000;
 
 /**
  * Build server from modpack
  * @param {string} modpackPath - Path to downloaded modpack ZIP
  * @param {string} version - Version string (e.g., "v1.09.3")
- * @param {Function} progressCallback - Optional callback for progress updates
- * @returns {Promise<void>}
+ * @param {Function} progressCallback - Optional callback for progress updates (step, detail)
+ * @param {AbortSignal} signal - Optional signal to cancel the build (latest.zip is only replaced at the end)
+ * @returns {Promise<{removedMods: Array<Object>, configOverlays: Object, validation: Object, malwareScan: Object, storedVersion: Object}>} Build report
+ * @throws {Error} On failure; validation errors carry error.validation, quarantined builds error.quarantined and error.malwareScan
  */
-async function buildServer(modpackPath, version, progressCallback = null) {
+async function buildServer(modpackPath, version, progressCallback = null, signal = null) {
   const tempDir = path.join(__dirname, '../storage/temp');
   const outputZip = path.join(__dirname, '../storage/latest.zip');
+  const buildSignal = signal || new AbortController().signal;
 
   try {
-    log(`Starting build process for ${version}`);
+    log.info(`Starting build process for ${version}`);
 
     // Step 1: Clean temp directory
-    log('Cleaning temp directory...');
+    log.info('Cleaning temp directory...');
     deleteDirectory(tempDir);
     fs.mkdirSync(tempDir, { recursive: true });
 
     // Step 2: Copy forge-clean template
-    log('Copying Forge template...');
+    log.info('Copying Forge template...');
     const forgeCleanPath = path.join(__dirname, '../forge-clean');
     if (progressCallback) progressCallback('template');
     copyDirectory(forgeCleanPath, tempDir);
 
     // Step 3: Extract modpack
-    log('Extracting modpack...');
+    log.info('Extracting modpack...');
     if (progressCallback) progressCallback('extracting');
-    const modpackZip = new AdmZip(modpackPath);
-    modpackZip.extractAllTo(tempDir, true);
-
-    // Step 4: Remove client-side mods
-    log('Removing client-side mods...');
-    const modsDir = path.join(tempDir, 'mods');
-    let removedCount = 0;
-
-    for (const modFile of CLIENT_SIDE_MODS) {
-      const modPath = path.join(modsDir, modFile);
-      if (fs.existsSync(modPath)) {
-        fs.unlinkSync(modPath);
-        log(`  Removed: ${modFile}`);
-        removedCount++;
-      }
+    await runPhase(buildSignal, EXTRACT_TIMEOUT_MINUTES * 60 * 1000, 'Extraction', (phaseSignal) =>
+      extractArchive(modpackPath, tempDir, phaseSignal)
+    );
+
+    // Server-side config values win over the modpack's config/
+    buildSignal.throwIfAborted();
+    log.info('Applying config overlays...');
+    const configOverlays = applyConfigOverlays(tempDir);
+    log.info(`Applied ${configOverlays.applied.length} config overlay keys, ${configOverlays.stale.length} stale`);
+
+    // Step 4: Remove client-side mods (detected from jar metadata)
+    buildSignal.throwIfAborted();
+    log.info('Removing client-side mods...');
+    const removedMods = removeClientSideMods(path.join(tempDir, 'mods'), version);
+    const removedSummary = removedMods.length > 0
+      ? `Removed ${removedMods.length}: ${removedMods.map(m => m.file).join(', ')}`
+      : 'No client-side mods found';
+
+    log.info(`Removed ${removedMods.length} client-side mods`);
+
+    // Validate before anything is published: a broken server fails the build
+    log.info('Validating server...');
+    const validation = await runPhase(buildSignal, VALIDATE_TIMEOUT_MINUTES * 60 * 1000, 'Validation', (phaseSignal) =>
+      validateServer(tempDir, phaseSignal)
+    );
+    if (validation.errors.length > 0) {
+      throw createValidationError(validation);
     }
+    log.info(`Validation passed with ${validation.warnings.length} warnings`);
 
-    log(`Removed ${removedCount} client-side mods`);
-    if (progressCallback) progressCallback('mods');
+    // Known-malicious jars quarantine the build instead of shipping it to players
+    log.info('Scanning jars for malware...');
+    const malwareScan = await runPhase(buildSignal, SCAN_TIMEOUT_MINUTES * 60 * 1000, 'Malware scan', (phaseSignal) =>
+      scanServerJars(tempDir, phaseSignal)
+    );
+    if (malwareScan.hits.length > 0) {
+      quarantineJars(tempDir, version, malwareScan);
+      throw createQuarantineError(malwareScan);
+    }
+    log.info(`Malware scan passed (${malwareScan.scanned} jars)`);
+
+    const warningSummary = validation.warnings.length > 0
+      ? ` • ${validation.warnings.length} validation warnings: ${summarizeIssues(validation.warnings)}`
+      : '';
+    if (progressCallback) progressCallback('mods', removedSummary + warningSummary);
+
+    // Inventory of the final mods/ directory, published at /mods
+    const modInventory = { mods: createModInventory(path.join(tempDir, 'mods')), removed: removedMods };
 
     // Step 5: Create start scripts
-    log('Creating start scripts...');
+    buildSignal.throwIfAborted();
+    log.info('Creating start scripts...');
     createStartScripts(tempDir);
     if (progressCallback) progressCallback('scripts');
 
     // Step 6: Create output ZIP
-    log('Creating server archive...');
+    log.info('Creating server archive...');
     if (progressCallback) progressCallback('archiving');
-    const outputZipFile = new AdmZip();
-    addDirectoryToZip(outputZipFile, tempDir, 'minecraft-server');
-    outputZipFile.writeZip(outputZip);
 
-    // Step 7: Save version
+    // File manifest lets players download update packages between versions and
+    // check their files with the bundled verify scripts
+    writeVerifyScripts(tempDir);
+    const manifest = await createFileManifest(tempDir);
+    const changelog = createChangelog(version, modInventory.mods, manifest);
+    writeChangelogFile(tempDir, changelog, manifest);
+    writeSha256Sums(tempDir, manifest);
+    buildSignal.throwIfAborted();
+
+    await runPhase(buildSignal, ARCHIVE_TIMEOUT_MINUTES * 60 * 1000, 'Archiving', (phaseSignal) =>
+      createServerArchive(tempDir, outputZip, 'minecraft-server', phaseSignal)
+    );
+
+    // Step 7: Keep a copy in version history, then mark the version current
+    // (only once it is stored, so a failed copy never leaves it current)
+    const storedVersion = await storeVersion(version, outputZip, { manifest, mods: modInventory, changelog });
     saveCurrentVersion(version);
 
     // Step 8: Clean up temp directory
-    log('Cleaning up...');
+    log.info('Cleaning up...');
     deleteDirectory(tempDir);
 
     const stats = fs.statSync(outputZip);
     const sizeMB = (stats.size / (1024 * 1024)).toFixed(2);
-    log(`Build completed! Server archive: ${sizeMB} MB`);
+    log.info(`Build completed! Server archive: ${sizeMB} MB`);
+
+    return { removedMods, configOverlays, validation, malwareScan, storedVersion };
 
   } catch (error) {
-    log(`Build failed: ${error.message}`);
+    log.error(`Build failed: ${error.message}`);
+    deleteDirectory(tempDir);
     throw error;
   }
 }
 
 /**
- * Create start.sh and start.bat scripts
- * @param {string} serverDir - Server directory path
+ * Check all modpack entries before anything is written
+ * Rejects paths escaping the destination, symlinks, and archives over the entry,
+ * size or compression ratio limits. adm-zip never inflates an entry past its
+ * declared size, so checking the headers is enough.
+ * @param {Array<Object>} entries - adm-zip entries
+ * @param {string} rootDir - Resolved destination directory
+ * @throws {Error} Describing the first violation
  */
-function createStartScripts(serverDir) {
-  const forgeJar = 'forge-1.7.10-10.13.4.1614-1.7.10-universal.jar';
+function validateArchiveEntries(entries, rootDir) {
+  const fail = (reason) => {
+    throw new Error(`Unsafe modpack archive: ${reason}`);
+  };
 
-  // start.sh for Linux/Mac
-  const startSh = `#!/bin/bash
-java -Xmx24G -Xms4G -jar ${forgeJar} nogui
-`;
+  if (entries.length > MODPACK_MAX_ENTRIES) {
+    fail(`${entries.length} entries (limit ${MODPACK_MAX_ENTRIES})`);
+  }
 
-  // start.bat for Windows
-  const startBat = `@echo off
-java -Xmx24G -Xms4G -jar ${forgeJar} nogui
-pause
-`;
+  let totalSize = 0;
+  let totalCompressed = 0;
 
-  fs.writeFileSync(path.join(serverDir, 'start.sh'), startSh, 'utf8');
-  fs.writeFileSync(path.join(serverDir, 'start.bat'), startBat, 'utf8');
+  for (const entry of entries) {
+    const name = entry.entryName;
 
-  // Make start.sh executable
-  fs.chmodSync(path.join(serverDir, 'start.sh'), 0o755);
+    if (name.includes('\0') || /^([/\\]|[a-zA-Z]:)/.test(name)) {
+      fail(`absolute path "${name}"`);
+    }
+    if (name.split(/[/\\]/).includes('..')) {
+      fail(`path traversal in "${name}"`);
+    }
+    const entryPath = path.resolve(rootDir, name);
+    if (entryPath !== rootDir && !entryPath.startsWith(rootDir + path.sep)) {
+      fail(`"${name}" points outside the server directory`);
+    }
+    if (((entry.header.attr >>> 16) & UNIX_FILE_TYPE_MASK) === UNIX_SYMLINK) {
+      fail(`symbolic link "${name}"`);
+    }
+
+    if (entry.isDirectory) continue;
+
+    const size = entry.header.size;
+    const compressedSize = entry.header.compressedSize;
+    if (size >= RATIO_CHECK_MIN_BYTES && size > compressedSize * MODPACK_MAX_COMPRESSION_RATIO) {
+      fail(`"${name}" expands ${Math.round(size / Math.max(compressedSize, 1))}x (limit ${MODPACK_MAX_COMPRESSION_RATIO}x)`);
+    }
+
+    totalSize += size;
+    totalCompressed += compressedSize;
+  }
+
+  if (totalSize > MODPACK_MAX_UNCOMPRESSED_MB * 1024 * 1024) {
+    fail(`${(totalSize / (1024 * 1024)).toFixed(0)} MB uncompressed (limit ${MODPACK_MAX_UNCOMPRESSED_MB} MB)`);
+  }
+  if (totalSize >= RATIO_CHECK_MIN_BYTES && totalSize > totalCompressed * MODPACK_MAX_COMPRESSION_RATIO) {
+    fail(`archive expands ${Math.round(totalSize / Math.max(totalCompressed, 1))}x (limit ${MODPACK_MAX_COMPRESSION_RATIO}x)`);
+  }
 }
 
 /**
- * Recursively add directory to ZIP archive
- * @param {AdmZip} zip - AdmZip instance
- * @param {string} dirPath - Directory to add
- * @param {string} zipPath - Path inside ZIP
+ * Extract modpack ZIP entry by entry
+ * Entries are validated first (validateArchiveEntries). Yields to the event loop
+ * between batches so cancel requests and timeouts are handled during long extractions.
+ * @param {string} zipPath - Modpack ZIP path
+ * @param {string} destDir - Destination directory
+ * @param {AbortSignal} signal - Aborts extraction
+ * @returns {Promise<void>}
  */
-function addDirectoryToZip(zip, dirPath, zipPath) {
-  const entries = fs.readdirSync(dirPath, { withFileTypes: true });
+async function extractArchive(zipPath, destDir, signal) {
+  const zip = new AdmZip(zipPath);
+  const entries = zip.getEntries();
+  const rootDir = path.resolve(destDir);
 
-  for (const entry of entries) {
-    const fullPath = path.join(dirPath, entry.name);
-    const zipEntryPath = path.join(zipPath, entry.name);
+  validateArchiveEntries(entries, rootDir);
+  log.info(`  Archive checked: ${entries.length} entries`);
+
+  for (let i = 0; i < entries.length; i++) {
+    signal.throwIfAborted();
 
-    if (entry.isDirectory()) {
-      addDirectoryToZip(zip, fullPath, zipEntryPath);
+    const entry = entries[i];
+    if (entry.isDirectory) {
+      // extractEntryTo would extract all children of a directory entry again
+      fs.mkdirSync(path.resolve(rootDir, entry.entryName), { recursive: true });
     } else {
-      zip.addLocalFile(fullPath, path.dirname(zipEntryPath));
+      zip.extractEntryTo(entry, destDir, true, true);
+    }
+
+    if (i % 50 === 49) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+  }
+}
+
+/**
+ * Scan mods directory and delete client-only mods
+ * Uses mod rules from storage first, then built-in client-only detection
+ * @param {string} modsDir - mods/ directory
+ * @param {string} version - Modpack version (selects version-scoped rules)
+ * @returns {Array<{file: string, size: number, modid: string, name: string, version: string, reason: string}>} Removed mods
+ */
+function removeClientSideMods(modsDir, version) {
+  const { rules } = loadRules();
+  const scan = scanMods(modsDir);
+  const removed = [];
+
+  saveModpackScan(version, scan);
+  log.info(`  Applying ${rules.length} mod rules`);
+
+  for (const mod of scan) {
+    const info = mod.metadata.mods[0];
+    const label = info ? `${info.modid} ${info.version}`.trim() : 'no mcmod.info';
+    const decision = decideMod(mod.metadata, mod, rules, version);
+
+    if (!decision.remove) {
+      const why = decision.source === 'built-in' ? '' : ` - ${decision.source}: ${decision.reason}`;
+      log.info(`  Kept: ${mod.metadata.file} (${label})${why}`);
+      continue;
     }
+
+    fs.unlinkSync(mod.path);
+    log.info(`  Removed: ${mod.metadata.file} (${label}) - ${decision.source}: ${decision.reason}`);
+    removed.push({
+      file: mod.metadata.file,
+      size: mod.metadata.size,
+      modid: info ? info.modid : '',
+      name: info ? info.name : '',
+      version: info ? info.version : '',
+      reason: `${decision.source}: ${decision.reason}`
+    });
   }
+
+  return removed;
+}
+
+/**
+ * Create start.sh and start.bat scripts
+ * @param {string} serverDir - Server directory path
+ */
+function createStartScripts(serverDir) {
+  const scripts = getStartScripts();
+
+  fs.writeFileSync(path.join(serverDir, 'start.sh'), scripts.sh, 'utf8');
+  fs.writeFileSync(path.join(serverDir, 'start.bat'), scripts.bat, 'utf8');
+
+  // Make start.sh executable
+  fs.chmodSync(path.join(serverDir, 'start.sh'), 0o755);
+}
+
+/**
+ * Stream directory into a ZIP archive on disk
+ * Entries are read and compressed one at a time, so memory stays bounded and
+ * the event loop keeps serving requests. File modes are kept (start.sh stays executable).
+ * The archive is written to a temp file and renamed, so a failed build never
+ * leaves a truncated archive at outputPath.
+ * @param {string} dirPath - Directory to archive
+ * @param {string} outputPath - Destination ZIP path
+ * @param {string} rootName - Root folder inside ZIP
+ * @param {AbortSignal} signal - Aborts archiving (outputPath is left untouched)
+ * @returns {Promise<void>}
+ */
+function createServerArchive(dirPath, outputPath, rootName, signal) {
+  const tempPath = `${outputPath}.tmp`;
+
+  return new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(tempPath);
+    const archive = archiver('zip', { zlib: { level: 6 } });
+    let failed = false;
+
+    const fail = (error) => {
+      if (failed) return;
+      failed = true;
+      signal.removeEventListener('abort', onAbort);
+      archive.abort();
+      output.destroy();
+      fs.rm(tempPath, { force: true }, () => reject(error));
+    };
+    const onAbort = () => fail(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+
+    output.on('close', () => {
+      if (failed) return;
+      signal.removeEventListener('abort', onAbort);
+      fs.rename(tempPath, outputPath, (error) => (error ? reject(error) : resolve()));
+    });
+    output.on('error', fail);
+    archive.on('error', fail);
+    archive.on('warning', (warning) => log.warn(`  Archive warning: ${warning.message}`));
+
+    archive.pipe(output);
+    archive.directory(dirPath, rootName);
+    archive.finalize();
+  });
 }
 
 module.exports = {
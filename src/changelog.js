@@ -0,0 +1,191 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getCurrentVersion } = require('./utils');
+const { listVersions, getVersionMods, getVersionManifest } = require('./versionStore');
+
+// Changelog bundled at the server root
+const CHANGELOG_FILE = 'CHANGELOG.txt';
+
+// Folders whose file changes are listed as config changes
+const CONFIG_PREFIXES = ['config/'];
+
+/**
+ * Find the build to compare a new build with
+ * The current version comes first (that is what players run), then the newest other stored version.
+ * @param {string} version - Version being built
+ * @returns {{version: string, mods: Object|null, manifest: Object|null}|null}
+ */
+function getPreviousBuild(version) {
+  const candidates = [getCurrentVersion(), ...listVersions().map(entry => entry.version)]
+    .filter(candidate => candidate && candidate !== version);
+
+  for (const candidate of candidates) {
+    const mods = getVersionMods(candidate);
+    const manifest = getVersionManifest(candidate);
+    if (mods || manifest) {
+      return { version: candidate, mods, manifest };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get key identifying a mod across versions (jar names usually contain the version)
+ * @param {Object} mod - Mod inventory entry
+ * @returns {string}
+ */
+function getModKey(mod) {
+  return mod.modid ? `modid:${mod.modid.toLowerCase()}` : `file:${mod.file.toLowerCase()}`;
+}
+
+/**
+ * Compare two mod inventories
+ * @param {Array<Object>} previousMods - Mods of the previous build
+ * @param {Array<Object>} mods - Mods of the new build
+ * @returns {{added: Array<Object>, removed: Array<Object>, changed: Array<Object>}}
+ */
+function diffMods(previousMods, mods) {
+  const before = new Map(previousMods.map(mod => [getModKey(mod), mod]));
+  const after = new Map(mods.map(mod => [getModKey(mod), mod]));
+  const summary = ({ file, modid, name, version }) => ({ file, modid, name, version });
+
+  const added = [];
+  const changed = [];
+  for (const [key, mod] of after) {
+    const previous = before.get(key);
+    if (!previous) {
+      added.push(summary(mod));
+    } else if (previous.version !== mod.version || previous.file !== mod.file) {
+      changed.push({
+        file: mod.file,
+        previousFile: previous.file,
+        modid: mod.modid,
+        name: mod.name,
+        fromVersion: previous.version,
+        toVersion: mod.version
+      });
+    }
+  }
+
+  const removed = [...before]
+    .filter(([key]) => !after.has(key))
+    .map(([, mod]) => summary(mod));
+
+  return { added, removed, changed };
+}
+
+/**
+ * Compare config files of two file manifests
+ * @param {Object} previousFiles - Manifest of the previous build
+ * @param {Object} files - Manifest of the new build
+ * @returns {{added: Array<string>, changed: Array<string>, removed: Array<string>}}
+ */
+function diffConfigs(previousFiles, files) {
+  const isConfig = (filePath) => CONFIG_PREFIXES.some(prefix => filePath.startsWith(prefix));
+  const added = [];
+  const changed = [];
+
+  for (const [filePath, info] of Object.entries(files)) {
+    if (!isConfig(filePath)) continue;
+
+    if (!previousFiles[filePath]) {
+      added.push(filePath);
+    } else if (previousFiles[filePath].sha256 !== info.sha256) {
+      changed.push(filePath);
+    }
+  }
+
+  const removed = Object.keys(previousFiles).filter(filePath => isConfig(filePath) && !files[filePath]);
+
+  return { added: added.sort(), changed: changed.sort(), removed: removed.sort() };
+}
+
+/**
+ * Create changelog of a new build against the previous one
+ * Sections are null when the previous build has no data to compare (first build, older builds).
+ * @param {string} version - Version being built
+ * @param {Array<Object>} mods - Mod inventory of the new build
+ * @param {Object} manifest - File manifest of the new build
+ * @returns {{version: string, previousVersion: string|null, generatedAt: string, mods: Object|null, configs: Object|null}}
+ */
+function createChangelog(version, mods, manifest) {
+  const previous = getPreviousBuild(version);
+
+  return {
+    version: version,
+    previousVersion: previous ? previous.version : null,
+    generatedAt: new Date().toISOString(),
+    mods: previous && previous.mods ? diffMods(previous.mods.mods, mods) : null,
+    configs: previous && previous.manifest ? diffConfigs(previous.manifest, manifest) : null
+  };
+}
+
+/**
+ * Format changelog as plain text
+ * @param {Object} changelog - Result of createChangelog
+ * @returns {string}
+ */
+function formatChangelogText(changelog) {
+  const lines = [`IIS server ${changelog.version} changelog`];
+  const describe = (mod) => `${mod.name || mod.modid || mod.file} ${mod.version || ''}`.trim() + ` (${mod.file})`;
+  const section = (title, items) => {
+    if (items.length > 0) {
+      lines.push('', `${title} (${items.length}):`, ...items);
+    }
+  };
+
+  if (!changelog.previousVersion) {
+    lines.push('', 'First build, nothing to compare with.');
+    return `${lines.join('\n')}\n`;
+  }
+
+  lines.push(`Compared with ${changelog.previousVersion}`);
+
+  if (changelog.mods) {
+    section('Mods added', changelog.mods.added.map(mod => `  + ${describe(mod)}`));
+    section('Mods removed', changelog.mods.removed.map(mod => `  - ${describe(mod)}`));
+    section('Mods updated', changelog.mods.changed.map(mod =>
+      `  * ${mod.name || mod.modid || mod.file}: ${mod.fromVersion || '?'} -> ${mod.toVersion || '?'} (${mod.file})`
+    ));
+  } else {
+    lines.push('', `Mod changes unknown: ${changelog.previousVersion} was built without a mod inventory.`);
+  }
+
+  if (changelog.configs) {
+    section('Config files changed', [
+      ...changelog.configs.added.map(file => `  + ${file}`),
+      ...changelog.configs.changed.map(file => `  * ${file}`),
+      ...changelog.configs.removed.map(file => `  - ${file}`)
+    ]);
+  }
+
+  if (lines.length === 2) {
+    lines.push('', 'No mod or config changes.');
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Write CHANGELOG.txt into server directory and add it to the manifest
+ * @param {string} serverDir - Server directory
+ * @param {Object} changelog - Result of createChangelog
+ * @param {Object} manifest - Files keyed by relative path, updated in place
+ */
+function writeChangelogFile(serverDir, changelog, manifest) {
+  const text = formatChangelogText(changelog);
+  fs.writeFileSync(path.join(serverDir, CHANGELOG_FILE), text, 'utf8');
+
+  manifest[CHANGELOG_FILE] = {
+    size: Buffer.byteLength(text, 'utf8'),
+    sha256: crypto.createHash('sha256').update(text, 'utf8').digest('hex')
+  };
+}
+
+module.exports = {
+  createChangelog,
+  formatChangelogText,
+  writeChangelogFile
+};
@@ -0,0 +1,194 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+
+const log = createLogger('checksums');
+
+// Ed25519 private key signing the checksum manifests (generated on first use)
+const SIGNING_KEY_FILE = process.env.SIGNING_KEY_FILE || path.join(__dirname, '../storage/signing-key.pem');
+
+// Checksum file bundled at the server root, in sha256sum format
+const SHA256SUMS_FILE = 'SHA256SUMS';
+
+// Loaded signing key pair
+let signingKeys = null;
+
+/**
+ * Load signing key from storage, generating a new one if missing
+ * @returns {{privateKey: crypto.KeyObject, publicKey: crypto.KeyObject}}
+ */
+function getSigningKeys() {
+  if (signingKeys) {
+    return signingKeys;
+  }
+
+  if (fs.existsSync(SIGNING_KEY_FILE)) {
+    const privateKey = crypto.createPrivateKey(fs.readFileSync(SIGNING_KEY_FILE, 'utf8'));
+    if (privateKey.asymmetricKeyType !== 'ed25519') {
+      throw new Error(`Signing key ${SIGNING_KEY_FILE} is not an Ed25519 key`);
+    }
+    signingKeys = { privateKey, publicKey: crypto.createPublicKey(privateKey) };
+    return signingKeys;
+  }
+
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+  fs.mkdirSync(path.dirname(SIGNING_KEY_FILE), { recursive: true });
+  fs.writeFileSync(SIGNING_KEY_FILE, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+  log.info(`Generated new Ed25519 signing key: ${SIGNING_KEY_FILE}`);
+
+  signingKeys = { privateKey, publicKey };
+  return signingKeys;
+}
+
+/**
+ * Get public key players use to check manifest signatures
+ * @returns {{algorithm: string, publicKey: string, fingerprint: string}} PEM key and SHA-256 of its DER form
+ */
+function getPublicKeyInfo() {
+  const { publicKey } = getSigningKeys();
+  const der = publicKey.export({ type: 'spki', format: 'der' });
+
+  return {
+    algorithm: 'Ed25519',
+    publicKey: publicKey.export({ type: 'spki', format: 'pem' }),
+    fingerprint: crypto.createHash('sha256').update(der).digest('hex')
+  };
+}
+
+/**
+ * Format file hashes as sha256sum input (sorted by path)
+ * @param {Object<string, {sha256: string}>} files - Files keyed by relative path
+ * @returns {string}
+ */
+function formatSha256Sums(files) {
+  return Object.keys(files)
+    .sort()
+    .map(filePath => `${files[filePath].sha256}  ${filePath}\n`)
+    .join('');
+}
+
+/**
+ * Replace hashes of some files in sha256sum text, keeping the others
+ * @param {string} text - SHA256SUMS contents
+ * @param {Object<string, Buffer>} contents - New file contents keyed by relative path
+ * @returns {string}
+ */
+function updateSha256Sums(text, contents) {
+  const files = {};
+
+  for (const line of text.split('\n')) {
+    const match = line.match(/^([0-9a-f]{64}) {2}(.+)$/);
+    if (match) {
+      files[match[2]] = { sha256: match[1] };
+    }
+  }
+  for (const [filePath, data] of Object.entries(contents)) {
+    files[filePath] = { sha256: crypto.createHash('sha256').update(data).digest('hex') };
+  }
+
+  return formatSha256Sums(files);
+}
+
+/**
+ * Generate verify.sh and verify.bat (check extracted files against SHA256SUMS)
+ * @returns {{sh: string, bat: string}}
+ */
+function getVerifyScripts() {
+  return {
+    sh: `#!/bin/bash
+# Checks server files against ${SHA256SUMS_FILE}.
+# Files you edited yourself (server.properties, configs) are reported as FAILED.
+cd "$(dirname "$0")" || exit 1
+
+if command -v sha256sum >/dev/null 2>&1; then
+  sha256sum --quiet -c ${SHA256SUMS_FILE}
+else
+  shasum -a 256 --quiet -c ${SHA256SUMS_FILE}
+fi
+
+if [ $? -eq 0 ]; then
+  echo "All files match ${SHA256SUMS_FILE}"
+else
+  echo "Some files do not match ${SHA256SUMS_FILE}"
+  exit 1
+fi
+`,
+    bat: [
+      '@echo off',
+      `rem Checks server files against ${SHA256SUMS_FILE}.`,
+      'rem Files you edited yourself (server.properties, configs) are reported as FAILED.',
+      'powershell -NoProfile -ExecutionPolicy Bypass -Command ^',
+      '  "$ok = $true;" ^',
+      `  "Get-Content -Encoding UTF8 -LiteralPath '%~dp0${SHA256SUMS_FILE}' | ForEach-Object {" ^`,
+      '  "  $hash, $file = $_ -split \'  \', 2;" ^',
+      '  "  $filePath = Join-Path \'%~dp0\' $file;" ^',
+      '  "  if (-not (Test-Path -LiteralPath $filePath)) { Write-Host (\'MISSING: \' + $file); $ok = $false }" ^',
+      '  "  elseif ((Get-FileHash -Algorithm SHA256 -LiteralPath $filePath).Hash.ToLower() -ne $hash) { Write-Host (\'FAILED: \' + $file); $ok = $false }" ^',
+      '  "};" ^',
+      `  "if ($ok) { Write-Host 'All files match ${SHA256SUMS_FILE}' } else { Write-Host 'Some files do not match ${SHA256SUMS_FILE}' }"`,
+      'pause',
+      ''
+    ].join('\r\n')
+  };
+}
+
+/**
+ * Write verify scripts into server directory (before the file manifest is created)
+ * @param {string} serverDir - Server directory
+ */
+function writeVerifyScripts(serverDir) {
+  const scripts = getVerifyScripts();
+
+  fs.writeFileSync(path.join(serverDir, 'verify.sh'), scripts.sh, 'utf8');
+  fs.writeFileSync(path.join(serverDir, 'verify.bat'), scripts.bat, 'utf8');
+  fs.chmodSync(path.join(serverDir, 'verify.sh'), 0o755);
+}
+
+/**
+ * Write SHA256SUMS for all files into server directory and add it to the manifest
+ * @param {string} serverDir - Server directory
+ * @param {Object} manifest - Files keyed by relative path (from createFileManifest), updated in place
+ */
+function writeSha256Sums(serverDir, manifest) {
+  const text = formatSha256Sums(manifest);
+  fs.writeFileSync(path.join(serverDir, SHA256SUMS_FILE), text, 'utf8');
+
+  manifest[SHA256SUMS_FILE] = {
+    size: Buffer.byteLength(text, 'utf8'),
+    sha256: crypto.createHash('sha256').update(text, 'utf8').digest('hex')
+  };
+}
+
+/**
+ * Create signed checksum manifest for a stored version
+ * The signature covers JSON.stringify(manifest) exactly as returned.
+ * @param {Object} entry - Stored version entry (version, size, sha256, builtAt)
+ * @param {string} archiveName - Download file name of the archive
+ * @param {Object} files - Files keyed by path relative to the server root
+ * @returns {{manifest: Object, signature: string}}
+ */
+function createSignedManifest(entry, archiveName, files) {
+  const manifest = {
+    version: entry.version,
+    builtAt: entry.builtAt,
+    archive: { file: archiveName, size: entry.size, sha256: entry.sha256 },
+    files: Object.keys(files).sort().map(filePath => ({
+      path: filePath,
+      size: files[filePath].size,
+      sha256: files[filePath].sha256
+    }))
+  };
+
+  const signature = crypto.sign(null, Buffer.from(JSON.stringify(manifest), 'utf8'), getSigningKeys().privateKey);
+  return { manifest, signature: signature.toString('base64') };
+}
+
+module.exports = {
+  SHA256SUMS_FILE,
+  getPublicKeyInfo,
+  updateSha256Sums,
+  writeVerifyScripts,
+  writeSha256Sums,
+  createSignedManifest
+};
@@ -0,0 +1,192 @@
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+const { parseForgeConfig, getProperties, findProperty, setPropertyValue, serializeForgeConfig } = require('./forgeConfig');
+const { applyServerProperties } = require('./serverVariants');
+
+const log = createLogger('configOverlays');
+
+// Key-level patches mirroring the server layout (e.g., config/forgeChunkLoading.cfg, server.properties)
+const CONFIG_OVERLAY_DIR = process.env.CONFIG_OVERLAY_DIR || path.join(__dirname, '../config-overlays');
+
+// Matches "key=value" and "key: value" lines of .properties files
+const PROPERTY_LINE_PATTERN = /^([^#!=:\s][^=:]*?)\s*[=:]\s?(.*)$/;
+
+/**
+ * List overlay files relative to the overlay directory
+ * @param {string} dir - Directory to scan
+ * @param {string} prefix - Relative path of dir
+ * @returns {Array<string>} Paths with forward slashes, sorted
+ */
+function listOverlayFiles(dir = CONFIG_OVERLAY_DIR, prefix = '') {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const relativePath = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      files.push(...listOverlayFiles(path.join(dir, entry.name), relativePath));
+    } else if (entry.isFile()) {
+      files.push(relativePath);
+    }
+  }
+
+  return files.sort();
+}
+
+/**
+ * Decode .properties value escapes (\uXXXX, \\, \t, ...)
+ * @param {string} value - Raw value
+ * @returns {string}
+ */
+function unescapePropertyValue(value) {
+  const escapes = { t: '\t', n: '\n', r: '\r', f: '\f' };
+  return value.replace(/\\(u[0-9a-fA-F]{4}|.)/g, (match, code) =>
+    code.length === 5 ? String.fromCharCode(parseInt(code.slice(1), 16)) : (escapes[code] || code)
+  );
+}
+
+/**
+ * Parse .properties text into key/value pairs, in file order
+ * @param {string} text - File contents
+ * @returns {Array<{key: string, value: string}>}
+ */
+function parseProperties(text) {
+  return text.split(/\r?\n/)
+    .map(line => line.match(PROPERTY_LINE_PATTERN))
+    .filter(Boolean)
+    .map(match => ({ key: match[1], value: match[2] }));
+}
+
+/**
+ * Patch a Forge .cfg file with the properties of an overlay .cfg
+ * @param {string} overlayText - Overlay contents (only the keys to change, inside their categories)
+ * @param {string} targetText - Server file contents
+ * @param {string} file - Relative path for the report
+ * @returns {{text: string, applied: Array<Object>, stale: Array<Object>}}
+ */
+function applyForgeConfigOverlay(overlayText, targetText, file) {
+  const overlay = parseForgeConfig(overlayText);
+  const target = parseForgeConfig(targetText);
+  const applied = [];
+  const stale = [];
+
+  for (const patch of getProperties(overlay)) {
+    const key = patch.category ? `${patch.category}.${patch.name}` : patch.name;
+    const property = findProperty(target, patch.category, patch.name);
+
+    if (!property) {
+      stale.push({ file, key, reason: 'Key not found' });
+    } else if (Array.isArray(property.value) !== Array.isArray(patch.value)) {
+      stale.push({ file, key, reason: Array.isArray(property.value) ? 'Key is a list' : 'Key is not a list' });
+    } else {
+      applied.push({ file, key, from: property.value, to: patch.value });
+      setPropertyValue(property, patch.value);
+    }
+  }
+
+  return { text: serializeForgeConfig(target), applied, stale };
+}
+
+/**
+ * Patch server.properties with the keys of an overlay server.properties
+ * Keys missing from the server file are reported instead of added (usually a typo or a renamed key).
+ * @param {string} overlayText - Overlay contents
+ * @param {string} targetText - Server file contents
+ * @param {string} file - Relative path for the report
+ * @returns {{text: string, applied: Array<Object>, stale: Array<Object>}}
+ */
+function applyPropertiesOverlay(overlayText, targetText, file) {
+  const current = new Map(parseProperties(targetText).map(({ key, value }) => [key, unescapePropertyValue(value)]));
+  const values = {};
+  const applied = [];
+  const stale = [];
+
+  for (const { key, value } of parseProperties(overlayText)) {
+    if (!current.has(key)) {
+      stale.push({ file, key, reason: 'Key not found' });
+      continue;
+    }
+    values[key] = unescapePropertyValue(value);
+    applied.push({ file, key, from: current.get(key), to: values[key] });
+  }
+
+  return { text: applyServerProperties(targetText, values), applied, stale };
+}
+
+/**
+ * Apply config overlays to an extracted server directory
+ * Overlay files are matched to server files by relative path; a target file
+ * that fails to parse is reported, a broken overlay fails the build.
+ * @param {string} serverDir - Server directory (after modpack extraction)
+ * @returns {{applied: Array<{file: string, key: string, from: *, to: *}>, stale: Array<{file: string, key: string|null, reason: string}>}}
+ */
+function applyConfigOverlays(serverDir) {
+  const report = { applied: [], stale: [] };
+  const files = listOverlayFiles();
+
+  if (files.length === 0) {
+    return report;
+  }
+
+  log.info(`  Applying ${files.length} config overlays from ${CONFIG_OVERLAY_DIR}`);
+
+  for (const file of files) {
+    const isForgeConfig = file.endsWith('.cfg');
+    const isProperties = path.posix.basename(file) === 'server.properties';
+
+    if (!isForgeConfig && !isProperties) {
+      report.stale.push({ file, key: null, reason: 'Unsupported file type (.cfg and server.properties only)' });
+      continue;
+    }
+
+    const targetPath = path.join(serverDir, ...file.split('/'));
+    if (!fs.existsSync(targetPath)) {
+      report.stale.push({ file, key: null, reason: 'File not found in server' });
+      continue;
+    }
+
+    const overlayText = fs.readFileSync(path.join(CONFIG_OVERLAY_DIR, ...file.split('/')), 'utf8');
+    const targetText = fs.readFileSync(targetPath, 'utf8');
+    let result;
+
+    if (isForgeConfig) {
+      try {
+        parseForgeConfig(targetText);
+      } catch (error) {
+        report.stale.push({ file, key: null, reason: `Cannot parse server file: ${error.message}` });
+        continue;
+      }
+      try {
+        result = applyForgeConfigOverlay(overlayText, targetText, file);
+      } catch (error) {
+        throw new Error(`Invalid config overlay ${file}: ${error.message}`);
+      }
+    } else {
+      result = applyPropertiesOverlay(overlayText, targetText, file);
+    }
+
+    if (result.applied.length > 0) {
+      fs.writeFileSync(targetPath, result.text, 'utf8');
+    }
+    report.applied.push(...result.applied);
+    report.stale.push(...result.stale);
+  }
+
+  for (const patch of report.applied) {
+    log.info(`  Overlay: ${patch.file} ${patch.key} = ${JSON.stringify(patch.to)}`);
+  }
+  for (const patch of report.stale) {
+    log.warn(`  Stale overlay ${patch.file}${patch.key ? ` ${patch.key}` : ''}: ${patch.reason}`);
+  }
+
+  return report;
+}
+
+module.exports = {
+  CONFIG_OVERLAY_DIR,
+  listOverlayFiles,
+  applyConfigOverlays
+};
@@ -1,278 +1,520 @@
 const fs = require('fs');
 const path = require('path');
-const https = require('https');
-const crypto = require('crypto');
-const { extractVersionFromFilename, log } = require('./utils');
+const { setTimeout: sleep } = require('timers/promises');
+const { createSourceFromEnv } = require('./sources');
+const {
+  extractVersionFromFilename,
+  parseVersion,
+  calculateFileHash,
+  compareVersions,
+  runPhase
+} = require('./utils');
+const { createLogger } = require('./logger');
 
-// Yandex.Disk public folder URL from environment variable
-const YANDEX_DISK_URL = process.env.YANDEX_DISK_URL || 'https://disk.yandex.ru/d/m0vmhfXyyBE7G';
+const log = createLogger('driveClient');
 
-// Yandex.Disk API base URL
-const YANDEX_API_BASE = 'https://cloud-api.yandex.net/v1/disk/public';
+// Modpack source (Yandex.Disk by default, see src/sources/index.js)
+const source = createSourceFromEnv();
+
+// Allow switching to a lower version than the one currently built
+const ALLOW_DOWNGRADE = process.env.ALLOW_DOWNGRADE === 'true';
+
+// Abort download when no data arrives for this long
+const DOWNLOAD_STALL_TIMEOUT_SECONDS = parseFloat(process.env.DOWNLOAD_STALL_TIMEOUT_SECONDS || '60');
+
+// Time limit for the whole download incl. verification (0 disables)
+const DOWNLOAD_TIMEOUT_MINUTES = parseFloat(process.env.BUILD_DOWNLOAD_TIMEOUT_MINUTES || '60');
+
+// Download attempts incl. the first one; later attempts resume the partial file when the server allows it
+const DOWNLOAD_MAX_ATTEMPTS = parseInt(process.env.DOWNLOAD_MAX_ATTEMPTS, 10) || 5;
+
+// Delay before the first retry, doubled after every failed attempt
+const DOWNLOAD_RETRY_DELAY_SECONDS = parseFloat(process.env.DOWNLOAD_RETRY_DELAY_SECONDS || '2');
+const DOWNLOAD_RETRY_MAX_DELAY_SECONDS = 60;
+
+// Progress callbacks are throttled to one per interval
+const DOWNLOAD_PROGRESS_INTERVAL_MS = 1000;
+
+// Modpack metadata is reused for this long; older data is served while refreshing in the background
+const METADATA_CACHE_TTL_SECONDS = parseFloat(process.env.METADATA_CACHE_TTL_SECONDS || '60');
+
+// Never contact the source, work from the last known metadata and existing builds
+const OFFLINE_MODE = process.env.OFFLINE_MODE === 'true';
+
+// Last known metadata survives restarts, so offline mode works right after a redeploy
+const METADATA_CACHE_FILE = path.join(__dirname, '../storage/modpack-metadata.json');
+
+// Metadata cache state
+let metadataCache = loadMetadataCache();
+let refreshPromise = null;
+let lastRefreshAttemptAt = 0;
+let unreachableSince = null;
+let lastSourceError = null;
 
 /**
- * Make HTTPS request to Yandex.Disk API
- * @param {string} url - API URL
- * @returns {Promise<any>} Response data
+ * Load last known metadata from storage
+ * @returns {{modpack: Object, fetchedAt: string}|null}
  */
-function makeApiRequest(url) {
-  return new Promise((resolve, reject) => {
-    https.get(url, (res) => {
-      let data = '';
-
-      res.on('data', (chunk) => {
-        data += chunk;
-      });
+function loadMetadataCache() {
+  if (!fs.existsSync(METADATA_CACHE_FILE)) {
+    return null;
+  }
 
-      res.on('end', () => {
-        try {
-          resolve(JSON.parse(data));
-        } catch (error) {
-          reject(new Error(`Failed to parse response: ${error.message}`));
-        }
-      });
-    }).on('error', (error) => {
-      reject(error);
-    });
-  });
+  try {
+    return JSON.parse(fs.readFileSync(METADATA_CACHE_FILE, 'utf8'));
+  } catch (error) {
+    log.warn(`Could not read cached modpack metadata: ${error.message}`);
+    return null;
+  }
 }
 
 /**
- * Get latest modpack file from public Yandex.Disk folder
- * @returns {Promise<{path: string, name: string, version: string}>} Latest modpack info
+ * Save last known metadata to storage
  */
-async function getLatestModpack() {
+function saveMetadataCache() {
   try {
-    log('Fetching latest modpack from Yandex.Disk...');
+    fs.mkdirSync(path.dirname(METADATA_CACHE_FILE), { recursive: true });
+    fs.writeFileSync(METADATA_CACHE_FILE, JSON.stringify(metadataCache, null, 2), 'utf8');
+  } catch (error) {
+    log.warn(`Could not save modpack metadata: ${error.message}`);
+  }
+}
 
-    // Get public folder contents
-    const url = `${YANDEX_API_BASE}/resources?public_key=${encodeURIComponent(YANDEX_DISK_URL)}&limit=100`;
-    const response = await makeApiRequest(url);
+/**
+ * List modpack files of the configured source with a recognizable version
+ * Files without one are skipped and reported in ambiguousFiles.
+ * @returns {Promise<{files: Array<Object>, ambiguousFiles: Array<string>}>} Files sorted by version, highest first
+ */
+async function listModpackFiles() {
+  const releases = await source.listReleases();
+
+  // Filter ZIP files with IIS/ИИС pattern
+  const zipFiles = releases
+    .filter(item =>
+      item.name.toLowerCase().includes('иис') || item.name.toLowerCase().includes('iis')
+    )
+    .map(item => ({ ...item, parsedVersion: extractVersionFromFilename(item.name) }));
+
+  if (zipFiles.length === 0) {
+    throw new Error(`No modpack files found in ${source.name}`);
+  }
 
-    if (!response._embedded || !response._embedded.items) {
-      throw new Error('No files found in Yandex.Disk folder');
-    }
+  const ambiguousFiles = zipFiles.filter(item => !item.parsedVersion.parsed).map(item => item.name);
+  if (ambiguousFiles.length > 0) {
+    log.warn(`Could not parse version from: ${ambiguousFiles.join(', ')}`);
+  }
 
-    // Filter ZIP files with IIS/ИИС pattern
-    const zipFiles = response._embedded.items.filter(item =>
-      item.type === 'file' &&
-      (item.name.toLowerCase().includes('иис') || item.name.toLowerCase().includes('iis')) &&
-      item.name.toLowerCase().endsWith('.zip')
-    );
+  const versionedFiles = zipFiles.filter(item => item.parsedVersion.parsed);
+  if (versionedFiles.length === 0) {
+    throw new Error(`No modpack files with a recognizable version in ${source.name}`);
+  }
 
-    if (zipFiles.length === 0) {
-      throw new Error('No modpack files found in Yandex.Disk folder');
-    }
+  // Sort by version (highest first), modification time as tie-breaker
+  versionedFiles.sort((a, b) =>
+    compareVersions(b.parsedVersion, a.parsedVersion) ||
+    (new Date(b.modified || 0) - new Date(a.modified || 0))
+  );
 
-    // Sort by modification time (newest first)
-    zipFiles.sort((a, b) => new Date(b.modified) - new Date(a.modified));
+  return { files: versionedFiles, ambiguousFiles };
+}
 
-    const latestFile = zipFiles[0];
-    const version = extractVersionFromFilename(latestFile.name);
+/**
+ * Describe a source file with its metadata
+ * @param {Object} file - Entry from listModpackFiles
+ * @param {Array<string>} ambiguousFiles - Files without a recognizable version
+ * @returns {Promise<{path: string, name: string, version: string, md5: string, sha256: string, size: number, ambiguousFiles: Array<string>}>}
+ */
+async function describeModpackFile(file, ambiguousFiles) {
+  const metadata = await source.getMetadata(file);
+
+  return {
+    path: file.path,
+    name: file.name,
+    version: file.parsedVersion.label,
+    md5: metadata.md5,
+    sha256: metadata.sha256,
+    size: metadata.size,
+    ambiguousFiles: ambiguousFiles
+  };
+}
 
-    log(`Found latest modpack: ${latestFile.name} (${version})`);
+/**
+ * Fetch latest modpack file from configured source
+ * The highest version wins, not the newest upload, so re-uploading an old archive
+ * never looks like an update.
+ * @returns {Promise<{path: string, name: string, version: string, ambiguousFiles: Array<string>}>} Latest modpack info
+ */
+async function fetchLatestModpack() {
+  try {
+    log.info(`Fetching latest modpack from ${source.name}...`);
 
-    return {
-      path: latestFile.path,
-      name: latestFile.name,
-      version: version,
-      md5: latestFile.md5,
-      sha256: latestFile.sha256,
-      size: latestFile.size
-    };
+    const { files, ambiguousFiles } = await listModpackFiles();
+    const latestModpack = await describeModpackFile(files[0], ambiguousFiles);
+
+    log.info(`Found latest modpack: ${latestModpack.name} (${latestModpack.version})`);
+    return latestModpack;
 
   } catch (error) {
-    log(`Error getting latest modpack: ${error.message}`);
+    log.error(`Error getting latest modpack: ${error.message}`);
     throw error;
   }
 }
 
 /**
- * Calculate MD5 hash of a file
- * @param {string} filePath - Path to file
- * @returns {Promise<string>} MD5 hash
+ * Refresh metadata cache from source (concurrent callers share one request)
+ * @returns {Promise<Object>} Latest modpack info
+ */
+function refreshMetadata() {
+  if (refreshPromise) {
+    return refreshPromise;
+  }
+
+  lastRefreshAttemptAt = Date.now();
+  refreshPromise = fetchLatestModpack()
+    .then(modpack => {
+      if (unreachableSince) {
+        log.info(`${source.name} is reachable again`);
+      }
+      metadataCache = { modpack: modpack, fetchedAt: new Date().toISOString() };
+      unreachableSince = null;
+      lastSourceError = null;
+      saveMetadataCache();
+      return modpack;
+    })
+    .catch(error => {
+      if (!unreachableSince) {
+        unreachableSince = new Date();
+        log.info(`${source.name} unreachable, serving last known metadata where available`);
+      }
+      lastSourceError = error.message;
+      throw error;
+    })
+    .finally(() => {
+      refreshPromise = null;
+    });
+
+  return refreshPromise;
+}
+
+/**
+ * Get latest modpack file, using cached metadata when possible
+ * Fresh cache is returned as is; stale cache is returned immediately while it is
+ * refreshed in the background (at most once per TTL while the source is down).
+ * @param {Object} options - Lookup options
+ * @param {boolean} options.refresh - Wait for fresh metadata (fails when the source is unreachable)
+ * @returns {Promise<{path: string, name: string, version: string, ambiguousFiles: Array<string>, offline: boolean}>} Latest modpack info
+ */
+async function getLatestModpack(options = {}) {
+  if (OFFLINE_MODE) {
+    if (!metadataCache) {
+      throw new Error('Offline mode is enabled and no modpack metadata is cached');
+    }
+    return { ...metadataCache.modpack, offline: true };
+  }
+
+  if (!metadataCache || options.refresh) {
+    return { ...(await refreshMetadata()), offline: false };
+  }
+
+  const ttlMs = METADATA_CACHE_TTL_SECONDS * 1000;
+  const isStale = Date.now() - new Date(metadataCache.fetchedAt).getTime() > ttlMs;
+  if (isStale && Date.now() - lastRefreshAttemptAt > ttlMs) {
+    refreshMetadata().catch(() => {});
+  }
+
+  return { ...metadataCache.modpack, offline: unreachableSince !== null };
+}
+
+/**
+ * Get source and metadata cache status
+ * @returns {{name: string, offline: boolean, offlineMode: boolean, unreachableSince: string|null, lastError: string|null, metadataFetchedAt: string|null}}
+ */
+function getSourceStatus() {
+  return {
+    name: source.name,
+    offline: OFFLINE_MODE || unreachableSince !== null,
+    offlineMode: OFFLINE_MODE,
+    unreachableSince: unreachableSince ? unreachableSince.toISOString() : null,
+    lastError: lastSourceError,
+    metadataFetchedAt: metadataCache ? metadataCache.fetchedAt : null
+  };
+}
+
+/**
+ * Create error for a downloaded file that does not match the source metadata
+ * @param {string} message - Error message
+ * @returns {Error}
  */
-function calculateMD5(filePath) {
-  return new Promise((resolve, reject) => {
-    const hash = crypto.createHash('md5');
-    const stream = fs.createReadStream(filePath);
-
-    stream.on('data', (data) => hash.update(data));
-    stream.on('end', () => resolve(hash.digest('hex')));
-    stream.on('error', reject);
-  });
+function createIntegrityError(message) {
+  const error = new Error(message);
+  error.integrityError = true;
+  return error;
 }
 
 /**
  * Verify downloaded file integrity
  * @param {string} filePath - Path to downloaded file
- * @param {number} downloadedBytes - Number of bytes downloaded
+ * @param {number} downloadedBytes - Size of downloaded file
  * @param {Object} options - Verification options
  */
 async function verifyDownload(filePath, downloadedBytes, options) {
   // Check file size
   if (options.expectedSize && downloadedBytes !== options.expectedSize) {
-    throw new Error(
+    throw createIntegrityError(
       `File size mismatch: expected ${options.expectedSize} bytes, got ${downloadedBytes} bytes`
     );
   }
 
   // Verify MD5 hash
   if (options.expectedMD5) {
-    log('Verifying file integrity (MD5)...');
-    const actualMD5 = await calculateMD5(filePath);
+    log.info('Verifying file integrity (MD5)...');
+    const actualMD5 = await calculateFileHash(filePath, 'md5');
 
     if (actualMD5 !== options.expectedMD5) {
-      throw new Error(
+      throw createIntegrityError(
         `MD5 hash mismatch: expected ${options.expectedMD5}, got ${actualMD5}`
       );
     }
+  }
+
+  // Verify SHA-256 hash
+  if (options.expectedSHA256) {
+    log.info('Verifying file integrity (SHA-256)...');
+    const actualSHA256 = await calculateFileHash(filePath, 'sha256');
 
-    log('File integrity verified successfully!');
+    if (actualSHA256 !== options.expectedSHA256) {
+      throw createIntegrityError(
+        `SHA-256 hash mismatch: expected ${options.expectedSHA256}, got ${actualSHA256}`
+      );
+    }
   }
+
+  if (options.expectedMD5 || options.expectedSHA256) {
+    log.info('File integrity verified successfully!');
+  }
+}
+
+/**
+ * Create throttled progress callback for one download attempt
+ * Speed is measured over the bytes received in this attempt (resumed bytes do not count).
+ * @param {Function} onProgress - Progress listener (may be null)
+ * @param {Object} attemptInfo - Attempt details
+ * @param {number} attemptInfo.attempt - Attempt number (1-based)
+ * @param {number} attemptInfo.resumeFrom - Bytes already on disk when the attempt started
+ * @param {number} attemptInfo.expectedSize - Size from source metadata (preferred over response headers)
+ * @returns {Function} Callback for source.download (bytesInFile, totalBytes)
+ */
+function createProgressReporter(onProgress, { attempt, resumeFrom, expectedSize }) {
+  const startedAt = Date.now();
+  let lastReportAt = 0;
+
+  return (downloadedBytes, totalBytes) => {
+    const now = Date.now();
+    if (!onProgress || now - lastReportAt < DOWNLOAD_PROGRESS_INTERVAL_MS) {
+      return;
+    }
+    lastReportAt = now;
+
+    const total = expectedSize || totalBytes || null;
+    const elapsedSeconds = (now - startedAt) / 1000;
+    const bytesPerSecond = elapsedSeconds > 0 ? (downloadedBytes - resumeFrom) / elapsedSeconds : 0;
+
+    onProgress({
+      downloadedBytes,
+      totalBytes: total,
+      bytesPerSecond,
+      etaSeconds: total && bytesPerSecond > 0 ? Math.max(0, (total - downloadedBytes) / bytesPerSecond) : null,
+      attempt,
+      maxAttempts: DOWNLOAD_MAX_ATTEMPTS
+    });
+  };
+}
+
+/**
+ * Get size of partially downloaded file
+ * @param {string} filePath - Destination file path
+ * @returns {number} Size in bytes (0 when missing)
+ */
+function getPartialSize(filePath) {
+  return fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
 }
 
 /**
- * Download file from public Yandex.Disk
- * @param {string} filePath - File path in Yandex.Disk
+ * Download modpack file from configured source
+ * Failed attempts are retried with exponential backoff. Retries resume the partial file
+ * with a Range request (sources fall back to a full download when the server ignores it);
+ * a resumed file that fails verification is downloaded again from scratch.
+ * @param {string} filePath - File path in source (from getLatestModpack)
  * @param {string} destPath - Destination file path
  * @param {Object} options - Download options
  * @param {string} options.expectedMD5 - Expected MD5 hash for verification
+ * @param {string} options.expectedSHA256 - Expected SHA-256 hash for verification
  * @param {number} options.expectedSize - Expected file size in bytes
+ * @param {AbortSignal} options.signal - Aborts the download (build cancel)
+ * @param {Function} options.onProgress - Called about once a second with
+ *   {downloadedBytes, totalBytes, bytesPerSecond, etaSeconds, attempt, maxAttempts}
+ *   and with {retryInSeconds, error} while waiting for the next attempt
  * @returns {Promise<void>}
  */
 async function downloadFile(filePath, destPath, options = {}) {
-  return new Promise(async (resolve, reject) => {
-    try {
-      log(`Getting download link for ${filePath}...`);
-
-      // Get download link from Yandex.Disk API
-      const apiUrl = `${YANDEX_API_BASE}/resources/download?public_key=${encodeURIComponent(YANDEX_DISK_URL)}&path=${encodeURIComponent(filePath)}`;
-      const response = await makeApiRequest(apiUrl);
+  const signal = options.signal || new AbortController().signal;
 
-      if (!response.href) {
-        throw new Error('Failed to get download link from Yandex.Disk');
-      }
+  try {
+    await runPhase(signal, DOWNLOAD_TIMEOUT_MINUTES * 60 * 1000, 'Download', async (phaseSignal) => {
+      // A leftover file may belong to another release, never resume it
+      fs.rmSync(destPath, { force: true });
 
-      const downloadUrl = response.href;
-      log(`Got download URL, initiating connection...`);
-
-      // Download file from the link
-      https.get(downloadUrl, (downloadResponse) => {
-        log(`Connection established, waiting for data stream...`);
-        // Handle redirects
-        if (downloadResponse.statusCode === 302 || downloadResponse.statusCode === 301) {
-          const redirectUrl = downloadResponse.headers.location;
-          log('Following redirect...');
-
-          https.get(redirectUrl, (redirectResponse) => {
-            const dest = fs.createWriteStream(destPath);
-            let downloadedBytes = 0;
-
-            redirectResponse
-              .on('data', (chunk) => {
-                if (downloadedBytes === 0) {
-                  log(`Data stream started, downloading...`);
-                }
-                downloadedBytes += chunk.length;
-                // Log progress every 10MB
-                if (downloadedBytes % (10 * 1024 * 1024) < chunk.length) {
-                  log(`Downloaded: ${(downloadedBytes / (1024 * 1024)).toFixed(2)} MB`);
-                }
-              })
-              .on('end', async () => {
-                log(`Download completed: ${(downloadedBytes / (1024 * 1024)).toFixed(2)} MB`);
-
-                // Verify download
-                try {
-                  await verifyDownload(destPath, downloadedBytes, options);
-                  resolve();
-                } catch (error) {
-                  reject(error);
-                }
-              })
-              .on('error', (err) => {
-                log(`Download error: ${err.message}`);
-                reject(err);
-              })
-              .pipe(dest);
-          }).on('error', reject);
+      for (let attempt = 1; ; attempt++) {
+        const resumeFrom = getPartialSize(destPath);
 
+        try {
+          const downloadedBytes = await source.download({ path: filePath }, destPath, {
+            signal: phaseSignal,
+            stallTimeoutMs: DOWNLOAD_STALL_TIMEOUT_SECONDS * 1000,
+            resumeFrom: resumeFrom,
+            onProgress: createProgressReporter(options.onProgress, {
+              attempt,
+              resumeFrom,
+              expectedSize: options.expectedSize
+            })
+          });
+
+          if (options.expectedSize && downloadedBytes < options.expectedSize) {
+            throw new Error(`Download incomplete: got ${downloadedBytes} of ${options.expectedSize} bytes`);
+          }
+
+          // Verify download
+          await verifyDownload(destPath, downloadedBytes, options);
           return;
+
+        } catch (error) {
+          phaseSignal.throwIfAborted();
+
+          if (error.integrityError) {
+            fs.rmSync(destPath, { force: true });
+            // Only a resumed file may have been stitched from two different uploads
+            if (resumeFrom === 0) throw error;
+          }
+          if (error.retryable === false || attempt >= DOWNLOAD_MAX_ATTEMPTS) {
+            throw error;
+          }
+
+          const delaySeconds = Math.min(
+            DOWNLOAD_RETRY_DELAY_SECONDS * 2 ** (attempt - 1),
+            DOWNLOAD_RETRY_MAX_DELAY_SECONDS
+          );
+          log.warn(`Download attempt ${attempt}/${DOWNLOAD_MAX_ATTEMPTS} failed: ${error.message}. ` +
+            `Retrying in ${delaySeconds} s...`);
+          if (options.onProgress) {
+            options.onProgress({
+              downloadedBytes: getPartialSize(destPath),
+              totalBytes: options.expectedSize || null,
+              attempt,
+              maxAttempts: DOWNLOAD_MAX_ATTEMPTS,
+              retryInSeconds: delaySeconds,
+              error: error.message
+            });
+          }
+          await sleep(delaySeconds * 1000, null, { signal: phaseSignal });
         }
+      }
+    });
 
-        const dest = fs.createWriteStream(destPath);
-        let downloadedBytes = 0;
-
-        downloadResponse
-          .on('data', (chunk) => {
-            if (downloadedBytes === 0) {
-              log(`Data stream started, downloading...`);
-            }
-            downloadedBytes += chunk.length;
-            // Log progress every 10MB
-            if (downloadedBytes % (10 * 1024 * 1024) < chunk.length) {
-              log(`Downloaded: ${(downloadedBytes / (1024 * 1024)).toFixed(2)} MB`);
-            }
-          })
-          .on('end', async () => {
-            log(`Download completed: ${(downloadedBytes / (1024 * 1024)).toFixed(2)} MB`);
-
-            // Verify download
-            try {
-              await verifyDownload(destPath, downloadedBytes, options);
-              resolve();
-            } catch (error) {
-              reject(error);
-            }
-          })
-          .on('error', (err) => {
-            log(`Download error: ${err.message}`);
-            reject(err);
-          })
-          .pipe(dest);
-
-      }).on('error', (error) => {
-        log(`Error downloading file: ${error.message}`);
-        reject(error);
-      });
-
-    } catch (error) {
-      log(`Error getting download link: ${error.message}`);
-      reject(error);
-    }
-  });
+  } catch (error) {
+    log.error(`Error downloading file: ${error.message}`);
+    throw error;
+  }
 }
 
 /**
  * Check if new version is available
+ * A lower version than the current one is only reported as update with
+ * ALLOW_DOWNGRADE=true; otherwise isDowngrade flags it and hasUpdate stays false.
  * @param {string} currentVersion - Current version string
- * @returns {Promise<{hasUpdate: boolean, latestVersion: string, filePath: string}>}
+ * @param {Object} options - Check options
+ * @param {boolean} options.refresh - Bypass metadata cache
+ * @returns {Promise<{hasUpdate: boolean, isDowngrade: boolean, offline: boolean, latestVersion: string, filePath: string, ambiguousFiles: Array<string>}>}
  */
-async function checkForUpdate(currentVersion) {
+async function checkForUpdate(currentVersion, options = {}) {
   try {
-    const latestModpack = await getLatestModpack();
-
-    const hasUpdate = currentVersion !== latestModpack.version;
+    const latestModpack = await getLatestModpack({ refresh: options.refresh });
+
+    let hasUpdate;
+    let isDowngrade = false;
+    const current = parseVersion(currentVersion);
+
+    if (!current) {
+      // No build yet ("none") or legacy unparseable version - any difference is an update
+      hasUpdate = currentVersion !== latestModpack.version;
+    } else {
+      const comparison = compareVersions(latestModpack.version, current);
+      isDowngrade = comparison < 0;
+      hasUpdate = comparison > 0 || (isDowngrade && ALLOW_DOWNGRADE);
+
+      if (isDowngrade) {
+        log.warn(`Latest modpack ${latestModpack.version} is older than current ${currentVersion}` +
+          (hasUpdate ? ', downgrading (ALLOW_DOWNGRADE)' : ', keeping current version'));
+      }
+    }
 
     return {
       hasUpdate: hasUpdate,
+      isDowngrade: isDowngrade,
       latestVersion: latestModpack.version,
       filePath: latestModpack.path,
       fileName: latestModpack.name,
       md5: latestModpack.md5,
       sha256: latestModpack.sha256,
-      size: latestModpack.size
+      size: latestModpack.size,
+      ambiguousFiles: latestModpack.ambiguousFiles,
+      offline: latestModpack.offline
     };
 
   } catch (error) {
-    log(`Error checking for update: ${error.message}`);
+    log.error(`Error checking for update: ${error.message}`);
     throw error;
   }
 }
 
+/**
+ * Find the source file of a specific version (e.g., to rebuild the current version)
+ * Always asks the source; cached metadata only describes the latest file.
+ * @param {string} version - Version label (e.g., "v1.19.1")
+ * @returns {Promise<Object|null>} Update info in the checkForUpdate format, null when the source no longer has the version
+ */
+async function findModpackVersion(version) {
+  if (OFFLINE_MODE) {
+    throw new Error('Offline mode is enabled, the source cannot be contacted');
+  }
+
+  const target = parseVersion(version);
+  const { files, ambiguousFiles } = await listModpackFiles();
+  const file = files.find(item =>
+    item.parsedVersion.label === version || (target && compareVersions(item.parsedVersion, target) === 0)
+  );
+  if (!file) {
+    return null;
+  }
+
+  const modpack = await describeModpackFile(file, ambiguousFiles);
+  return {
+    hasUpdate: false,
+    isDowngrade: false,
+    latestVersion: modpack.version,
+    filePath: modpack.path,
+    fileName: modpack.name,
+    md5: modpack.md5,
+    sha256: modpack.sha256,
+    size: modpack.size,
+    ambiguousFiles: modpack.ambiguousFiles,
+    offline: false
+  };
+}
+
 module.exports = {
   getLatestModpack,
+  getSourceStatus,
   downloadFile,
-  checkForUpdate
+  checkForUpdate,
+  findModpackVersion
 };
@@ -0,0 +1,177 @@
+/**
+ * Parser and serializer for Forge 1.7.10 .cfg files
+ *
+ * Format:
+ *   # comment
+ *   category {
+ *       I:name=25
+ *       S:"quoted name"=value
+ *       S:list <
+ *           item
+ *        >
+ *       nested { ... }
+ *   }
+ *
+ * Parsed documents keep every line, so serializing an unmodified document
+ * returns the original text; only changed properties are rewritten.
+ */
+
+// Property types: B(oolean), I(nteger), D(ouble), S(tring)
+const PROPERTY_PATTERN = /^(\s*)([BIDS]):("[^"]*"|[^=<]+?)\s*=(.*)$/;
+const LIST_START_PATTERN = /^(\s*)([BIDS]):("[^"]*"|[^=<]+?)\s*<\s*$/;
+const CATEGORY_START_PATTERN = /^\s*("[^"]*"|[^{}#"]+?)\s*\{\s*$/;
+const CATEGORY_END_PATTERN = /^\s*\}\s*$/;
+
+/**
+ * Remove quotes from a category or property name
+ * @param {string} rawName - Name as written in the file
+ * @returns {string}
+ */
+function unquote(rawName) {
+  return rawName.startsWith('"') && rawName.endsWith('"') ? rawName.slice(1, -1) : rawName;
+}
+
+/**
+ * Parse .cfg text
+ * @param {string} text - File contents
+ * @returns {{eol: string, nodes: Array<Object>}} Document; property nodes have
+ *   {kind: 'property', category, name, type, value (string, or Array<string> for lists), indent, rawName, lines}
+ */
+function parseForgeConfig(text) {
+  const eol = text.includes('\r\n') ? '\r\n' : '\n';
+  const lines = text.split(/\r?\n/);
+  const nodes = [];
+  const categories = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const trimmed = line.trim();
+
+    if (trimmed === '' || trimmed.startsWith('#')) {
+      nodes.push({ kind: 'text', lines: [line] });
+      continue;
+    }
+
+    const listStart = line.match(LIST_START_PATTERN);
+    if (listStart) {
+      const start = i;
+      const items = [];
+      while (i + 1 < lines.length && lines[i + 1].trim() !== '>') {
+        i++;
+        items.push(lines[i].trim());
+      }
+      if (i + 1 >= lines.length) {
+        throw new Error(`Unterminated list "${unquote(listStart[3])}" at line ${start + 1}`);
+      }
+      i++;
+
+      nodes.push({
+        kind: 'property',
+        category: categories.join('.'),
+        name: unquote(listStart[3]),
+        type: listStart[2],
+        value: items.filter(item => item !== ''),
+        indent: listStart[1],
+        rawName: listStart[3],
+        lines: lines.slice(start, i + 1)
+      });
+      continue;
+    }
+
+    const property = line.match(PROPERTY_PATTERN);
+    if (property) {
+      nodes.push({
+        kind: 'property',
+        category: categories.join('.'),
+        name: unquote(property[3]),
+        type: property[2],
+        value: property[4],
+        indent: property[1],
+        rawName: property[3],
+        lines: [line]
+      });
+      continue;
+    }
+
+    const categoryStart = line.match(CATEGORY_START_PATTERN);
+    if (categoryStart) {
+      categories.push(unquote(categoryStart[1]));
+      nodes.push({ kind: 'text', lines: [line] });
+      continue;
+    }
+
+    if (CATEGORY_END_PATTERN.test(line)) {
+      if (categories.length === 0) {
+        throw new Error(`Unexpected "}" at line ${i + 1}`);
+      }
+      categories.pop();
+      nodes.push({ kind: 'text', lines: [line] });
+      continue;
+    }
+
+    throw new Error(`Cannot parse line ${i + 1}: ${trimmed}`);
+  }
+
+  if (categories.length > 0) {
+    throw new Error(`Category "${categories.join('.')}" is not closed`);
+  }
+
+  return { eol, nodes };
+}
+
+/**
+ * List properties of a parsed document
+ * @param {Object} doc - Result of parseForgeConfig
+ * @returns {Array<Object>} Property nodes
+ */
+function getProperties(doc) {
+  return doc.nodes.filter(node => node.kind === 'property');
+}
+
+/**
+ * Find property by category path and name
+ * @param {Object} doc - Result of parseForgeConfig
+ * @param {string} category - Category path, nested categories joined with "." (e.g., "defaults")
+ * @param {string} name - Property name without type prefix
+ * @returns {Object|null} Property node
+ */
+function findProperty(doc, category, name) {
+  return getProperties(doc).find(node => node.category === category && node.name === name) || null;
+}
+
+/**
+ * Change property value, keeping its type, indentation and name quoting
+ * @param {Object} node - Property node from the document
+ * @param {string|Array<string>} value - New value (array for list properties)
+ */
+function setPropertyValue(node, value) {
+  if (Array.isArray(node.value) !== Array.isArray(value)) {
+    throw new Error(`${node.name} is ${Array.isArray(node.value) ? 'a list' : 'not a list'}`);
+  }
+
+  node.value = value;
+  node.lines = Array.isArray(value)
+    ? [
+      `${node.indent}${node.type}:${node.rawName} <`,
+      ...value.map(item => `${node.indent}    ${item}`),
+      `${node.indent} >`
+    ]
+    : [`${node.indent}${node.type}:${node.rawName}=${value}`];
+}
+
+/**
+ * Serialize document back to .cfg text
+ * @param {Object} doc - Result of parseForgeConfig
+ * @returns {string}
+ */
+function serializeForgeConfig(doc) {
+  return doc.nodes.flatMap(node => node.lines).join(doc.eol);
+}
+
+module.exports = {
+  parseForgeConfig,
+  getProperties,
+  findProperty,
+  setPropertyValue,
+  serializeForgeConfig
+};
@@ -1,13 +1,45 @@
 const express = require('express');
 const fs = require('fs');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
 const path = require('path');
-const { checkForUpdate, downloadFile } = require('./driveClient');
+const { checkForUpdate, findModpackVersion, getSourceStatus, downloadFile } = require('./driveClient');
 const { buildServer } = require('./builder');
-const { getCurrentVersion, hasBuiltServer, getFileSizeMB, log } = require('./utils');
+const {
+  listVersions,
+  getVersion,
+  getVersionManifest,
+  getVersionChecksums,
+  getVersionMods,
+  getVersionChangelog,
+  purgeVersions,
+  getPinnedVersion,
+  pinVersion,
+  unpinVersion
+} = require('./versionStore');
+const { startScheduler, getSchedulerStatus } = require('./updateScheduler');
+const { classifyMod, loadModpackScan } = require('./modScanner');
+const { validateRules, loadRules, saveRules, decideMod } = require('./modRules');
+const { validateBlocklist, loadBlocklist, saveBlocklist } = require('./malwareScanner');
+const { renderMetrics, servedVersionInfo, trackArchiveDownload } = require('./metrics');
+const { parseServerOptions, getVariantArchive, purgeVariants } = require('./serverVariants');
+const { getUpdatePackage, purgeUpdatePackages } = require('./updatePackages');
+const { recordAudit, readAuditLog, getLastAuditEntry } = require('./auditLog');
+const { createBuildRecorder, markInterruptedBuilds, listBuilds, getBuild } = require('./buildHistory');
+const { getPublicKeyInfo } = require('./checksums');
+const { formatChangelogText } = require('./changelog');
+const { getCurrentVersion, hasBuiltServer, getFileSizeMB, calculateFileHash } = require('./utils');
+const { createLogger, runWithLogContext, getLogEntries, matchesFilter, onLog, LEVELS } = require('./logger');
+
+const log = createLogger('server');
+const httpLog = createLogger('http');
 
 const app = express();
 const PORT = process.env.PORT || 3003;
 
+// Token for /admin routes (admin API is disabled when not set)
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
+
 // Track build status
 let isBuildInProgress = false;
 let buildProgress = '';
@@ -23,12 +55,55 @@ let buildSteps = [
   { id: 9, name: 'Finalizing', status: 'pending' }
 ];
 
+// Build progress events for /build/events subscribers
+const buildEvents = new EventEmitter();
+buildEvents.setMaxListeners(0);
+let lastBuildError = null;
+
+// Aborted by POST /admin/build/cancel
+let buildAbortController = null;
+
+// Persistent record of the current (or last) build run
+let buildRecorder = null;
+
 function updateBuildStep(stepId, status, detail = '') {
   const step = buildSteps.find(s => s.id === stepId);
   if (step) {
     step.status = status;
     step.detail = detail;
+    if (buildRecorder) {
+      buildRecorder.stepChanged(step, status, detail);
+    }
+    buildEvents.emit('step', { id: step.id, name: step.name, status, detail });
+  }
+}
+
+/**
+ * Format download progress for the "Downloading modpack" step detail
+ * @param {Object} progress - Progress from downloadFile
+ * @returns {string} e.g. "120.5 / 480.0 MB (25%), 5.2 MB/s, ETA 1m 09s"
+ */
+function formatDownloadProgress(progress) {
+  const toMB = (bytes) => (bytes / (1024 * 1024)).toFixed(1);
+  const attempt = progress.attempt > 1 ? `, attempt ${progress.attempt}/${progress.maxAttempts}` : '';
+  const size = progress.totalBytes
+    ? `${toMB(progress.downloadedBytes)} / ${toMB(progress.totalBytes)} MB ` +
+      `(${Math.floor((progress.downloadedBytes / progress.totalBytes) * 100)}%)`
+    : `${toMB(progress.downloadedBytes)} MB`;
+
+  if (progress.retryInSeconds !== undefined) {
+    return `${size}, attempt ${progress.attempt}/${progress.maxAttempts} failed (${progress.error}), ` +
+      `retrying in ${progress.retryInSeconds}s`;
   }
+
+  const speed = `${toMB(progress.bytesPerSecond)} MB/s`;
+  const eta = progress.etaSeconds !== null ? `, ETA ${formatDuration(progress.etaSeconds * 1000)}` : '';
+  return `${size}, ${speed}${eta}${attempt}`;
+}
+
+function setBuildProgress(message) {
+  buildProgress = message;
+  buildEvents.emit('progress', { message });
 }
 
 function resetBuildSteps() {
@@ -38,6 +113,26 @@ function resetBuildSteps() {
   });
 }
 
+// Request ids: honour X-Request-Id from the proxy, otherwise generate one
+const REQUEST_ID_PATTERN = /^[\w.-]{1,64}$/;
+
+/**
+ * Tag request with an id (echoed in X-Request-Id) and log it once the response is sent
+ */
+app.use((req, res, next) => {
+  const incomingId = req.get('x-request-id') || '';
+  const requestId = REQUEST_ID_PATTERN.test(incomingId) ? incomingId : crypto.randomBytes(8).toString('hex');
+  const startedAt = Date.now();
+
+  res.setHeader('X-Request-Id', requestId);
+  res.on('finish', () => {
+    const level = res.statusCode >= 500 ? 'warn' : 'debug';
+    httpLog[level](`${req.method} ${req.originalUrl} ${res.statusCode} ${Date.now() - startedAt}ms`, { requestId });
+  });
+
+  runWithLogContext({ requestId }, next);
+});
+
 // Serve static files from public directory
 app.use(express.static(path.join(__dirname, '../public')));
 
@@ -60,7 +155,7 @@ app.get('/version', async (req, res) => {
     try {
       latestInfo = await checkForUpdate(currentVersion || 'none');
     } catch (error) {
-      log(`Warning: Could not check for updates: ${error.message}`);
+      log.warn(`Could not check for updates: ${error.message}`);
     }
 
     res.json({
@@ -68,17 +163,121 @@ app.get('/version', async (req, res) => {
       hasBuiltServer: hasServer,
       latestVersion: latestInfo ? latestInfo.latestVersion : 'unknown',
       updateAvailable: latestInfo ? latestInfo.hasUpdate : false,
+      downgradeBlocked: latestInfo ? latestInfo.isDowngrade && !latestInfo.hasUpdate : false,
+      ambiguousFiles: latestInfo ? latestInfo.ambiguousFiles : [],
       buildInProgress: isBuildInProgress,
       buildProgress: buildProgress,
-      buildSteps: buildSteps
+      buildSteps: buildSteps,
+      pinnedVersion: getPinnedVersion(),
+      archive: getServedArchiveInfo(currentVersion),
+      lastAdminAction: getLastAuditEntry(),
+      source: getSourceStatus(),
+      updateScheduler: getSchedulerStatus()
     });
 
   } catch (error) {
-    log(`Error in /version: ${error.message}`);
+    log.error(`Error in /version: ${error.message}`);
     res.status(500).json({ error: error.message });
   }
 });
 
+/**
+ * Get stored version /download serves (pinned version first, then current)
+ * @param {string} currentVersion - Current version
+ * @returns {Object|null} Stored version entry
+ */
+function getServedVersion(currentVersion) {
+  const pin = getPinnedVersion();
+  return (pin && getVersion(pin.version)) || (currentVersion && getVersion(currentVersion)) || null;
+}
+
+/**
+ * Resolve :version route parameter ("latest" is the version /download serves, pinned or current)
+ * @param {string} version - Route parameter
+ * @returns {string|null} Version or null when nothing is served yet
+ */
+function resolveVersionParam(version) {
+  if (version !== 'latest') {
+    return version;
+  }
+  const served = getServedVersion(getCurrentVersion());
+  return served ? served.version : null;
+}
+
+/**
+ * Describe the archive /download serves
+ * @param {string} currentVersion - Current version
+ * @returns {{version: string, size: number, sha256: string, checksumsUrl: string, signingKeyFingerprint: string}|null}
+ */
+function getServedArchiveInfo(currentVersion) {
+  const entry = getServedVersion(currentVersion);
+  if (!entry) {
+    return null;
+  }
+
+  return {
+    version: entry.version,
+    size: entry.size,
+    sha256: entry.sha256,
+    checksumsUrl: `/checksums/${encodeURIComponent(entry.version)}`,
+    signingKeyFingerprint: getPublicKeyInfo().fingerprint
+  };
+}
+
+/**
+ * Snapshot of current build state
+ */
+function getBuildState() {
+  return {
+    buildInProgress: isBuildInProgress,
+    buildId: buildRecorder ? buildRecorder.id : null,
+    buildProgress: buildProgress,
+    buildError: lastBuildError,
+    buildSteps: buildSteps
+  };
+}
+
+/**
+ * GET /build/events - Stream build progress (Server-Sent Events)
+ */
+app.get('/build/events', (req, res) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    // Disable proxy buffering (Nginx) so events arrive immediately
+    'X-Accel-Buffering': 'no'
+  });
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const listeners = {
+    state: (data) => send('state', data),
+    step: (data) => send('step', data),
+    progress: (data) => send('progress', data),
+    done: (data) => send('done', data)
+  };
+
+  // Initial snapshot so late subscribers see the current state
+  send('state', getBuildState());
+
+  for (const [event, listener] of Object.entries(listeners)) {
+    buildEvents.on(event, listener);
+  }
+
+  // Keep connection alive through proxies
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 25000);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    for (const [event, listener] of Object.entries(listeners)) {
+      buildEvents.off(event, listener);
+    }
+  });
+});
+
 /**
  * GET /building - Show build progress page
  */
@@ -87,6 +286,12 @@ app.get('/building', async (req, res) => {
     const currentVersion = getCurrentVersion();
     const hasServer = hasBuiltServer();
 
+    // Pinned version is always ready, automatic builds are held
+    const pin = getPinnedVersion();
+    if (pin && getVersion(pin.version) && !isBuildInProgress) {
+      return res.redirect(`/download${getQueryString(req)}`);
+    }
+
     // Check for updates
     let updateInfo;
     try {
@@ -94,99 +299,661 @@ app.get('/building', async (req, res) => {
     } catch (error) {
       // If we can't check for updates but have a built server, redirect to download
       if (hasServer) {
-        log('Warning: Cannot check for updates, redirecting to download');
-        return res.redirect('/download');
+        log.warn('Cannot check for updates, redirecting to download');
+        return res.redirect(`/download${getQueryString(req)}`);
       }
       throw new Error('Cannot check for updates and no built server available');
     }
 
-    // If server is ready and no update needed, redirect to download
-    if (!updateInfo.hasUpdate && hasServer) {
-      log(`Server ready, redirecting to download (${currentVersion})`);
-      return res.redirect('/download');
+    // If server is ready and no update needed (or the source is offline), redirect to download
+    if ((!updateInfo.hasUpdate || updateInfo.offline) && hasServer) {
+      log.info(`Server ready, redirecting to download (${currentVersion})`);
+      return res.redirect(`/download${getQueryString(req)}`);
     }
 
-    // If build is not in progress, start it
+    // If build is not in progress, start it in background
     if (!isBuildInProgress) {
-      log(`Starting build for new version: ${updateInfo.latestVersion}`);
-      isBuildInProgress = true;
-      resetBuildSteps();
-      buildProgress = 'Starting build process...';
-
-      // Build in background
-      performBuild(updateInfo).catch(error => {
-        log(`Build failed: ${error.message}`);
-        isBuildInProgress = false;
-        buildProgress = `Build failed: ${error.message}`;
-      });
+      startBuild(updateInfo, 'download').catch(() => {});
     }
 
     // Show build progress page
     res.send(getBuildProgressHTML(updateInfo.latestVersion));
 
   } catch (error) {
-    log(`Error in /building: ${error.message}`);
-    res.status(500).send(`
-      <!DOCTYPE html>
-      <html lang="en">
-      <head>
-        <meta charset="UTF-8">
-        <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>Error</title>
-        <style>
-          body { font-family: Arial, sans-serif; max-width: 600px; margin: 100px auto; text-align: center; }
-          h1 { color: #f44336; }
-        </style>
-      </head>
-      <body>
-        <h1>Error</h1>
-        <p>${error.message}</p>
-        <a href="/">Go back</a>
-      </body>
-      </html>
-    `);
+    log.error(`Error in /building: ${error.message}`);
+    res.status(500).send(getErrorHTML(error.message));
+  }
+});
+
+/**
+ * GET /download - Download server file (or redirect to build page)
+ */
+app.get('/download', async (req, res) => {
+  try {
+    const currentVersion = getCurrentVersion();
+    const hasServer = hasBuiltServer();
+
+    // Customization options (JVM memory/flags, server.properties)
+    const { options, errors } = parseServerOptions(req.query);
+    if (errors.length > 0) {
+      return res.status(400).send(getErrorHTML(`Invalid server options: ${errors.join('; ')}`));
+    }
+
+    // Pinned version is served as is, even while a build runs
+    const pin = getPinnedVersion();
+    const pinnedVersion = pin ? getVersion(pin.version) : null;
+    if (pinnedVersion) {
+      log.info(`Serving pinned server (${pinnedVersion.version})`);
+      return await serveExistingServer(res, pinnedVersion, options);
+    }
+
+    // If build is in progress, redirect to building page
+    if (isBuildInProgress) {
+      return res.redirect(`/building${getQueryString(req)}`);
+    }
+
+    // Check for updates
+    let updateInfo;
+    try {
+      updateInfo = await checkForUpdate(currentVersion || 'none');
+    } catch (error) {
+      // If we can't check for updates but have a built server, serve it
+      if (hasServer) {
+        log.warn('Cannot check for updates, serving existing server');
+        return await serveExistingServer(res, null, options);
+      }
+      // Redirect to building page to start the process
+      return res.redirect(`/building${getQueryString(req)}`);
+    }
+
+    // Source offline: the update cannot be downloaded, keep serving the existing build
+    if (hasServer && updateInfo.hasUpdate && updateInfo.offline) {
+      log.info(`Source offline, serving existing server (${currentVersion})`);
+      return await serveExistingServer(res, null, options);
+    }
+
+    // If no server or update needed, redirect to building page
+    if (!hasServer || updateInfo.hasUpdate) {
+      return res.redirect(`/building${getQueryString(req)}`);
+    }
+
+    // Server is ready, serve it
+    log.info(`Serving existing server (${currentVersion})`);
+    return await serveExistingServer(res, null, options);
+
+  } catch (error) {
+    log.error(`Error in /download: ${error.message}`);
+    res.status(500).send(getErrorHTML(error.message));
+  }
+});
+
+/**
+ * GET /versions - List stored server versions (JSON)
+ */
+app.get('/versions', (req, res) => {
+  try {
+    res.json({
+      currentVersion: getCurrentVersion() || 'none',
+      versions: listVersions()
+    });
+  } catch (error) {
+    log.error(`Error in /versions: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Get mod inventory of a stored version
+ * @param {string} requestedVersion - Version from query (defaults to the version /download serves)
+ * @returns {{version: string, builtAt: string, count: number, mods: Array<Object>, removed: Array<Object>}|null}
+ */
+function getModInventory(requestedVersion) {
+  const entry = requestedVersion ? getVersion(requestedVersion) : getServedVersion(getCurrentVersion());
+  const inventory = entry ? getVersionMods(entry.version) : null;
+  if (!inventory) {
+    return null;
+  }
+
+  return {
+    version: entry.version,
+    builtAt: entry.builtAt,
+    count: inventory.mods.length,
+    mods: inventory.mods,
+    removed: inventory.removed
+  };
+}
+
+/**
+ * GET /mods - Mods in the built server and mods removed as client-side (JSON, ?version= for a stored version)
+ */
+app.get('/mods', (req, res) => {
+  try {
+    const inventory = getModInventory(req.query.version);
+    if (!inventory) {
+      return res.status(404).json({ error: `No mod inventory for ${req.query.version || 'the current build'}` });
+    }
+    res.json(inventory);
+  } catch (error) {
+    log.error(`Error in /mods: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /mod-list - Searchable mod list page (?version= for a stored version)
+ */
+app.get('/mod-list', (req, res) => {
+  try {
+    const inventory = getModInventory(req.query.version);
+    if (!inventory) {
+      return res.status(404).send(getErrorHTML(`No mod inventory for ${req.query.version || 'the current build'}`));
+    }
+    res.send(getModListHTML(inventory));
+  } catch (error) {
+    log.error(`Error in /mod-list: ${error.message}`);
+    res.status(500).send(getErrorHTML(error.message));
+  }
+});
+
+/**
+ * GET /builds - Build history, newest first (JSON, without logs)
+ */
+app.get('/builds', (req, res) => {
+  try {
+    res.json({ builds: listBuilds() });
+  } catch (error) {
+    log.error(`Error in /builds: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /builds/:id - Single build with step durations and captured log (JSON)
+ */
+app.get('/builds/:id', (req, res) => {
+  const build = getBuild(req.params.id);
+  if (!build) {
+    return res.status(404).json({ error: `Build ${req.params.id} not found` });
+  }
+  res.json(build);
+});
+
+/**
+ * GET /history - Build history page
+ */
+app.get('/history', (req, res) => {
+  try {
+    res.send(getBuildHistoryHTML(listBuilds()));
+  } catch (error) {
+    log.error(`Error in /history: ${error.message}`);
+    res.status(500).send(getErrorHTML(error.message));
+  }
+});
+
+/**
+ * GET /history/:id - Build details page
+ */
+app.get('/history/:id', (req, res) => {
+  const build = getBuild(req.params.id);
+  if (!build) {
+    return res.status(404).send(getErrorHTML(`Build ${req.params.id} not found`));
+  }
+  res.send(getBuildDetailHTML(build));
+});
+
+/**
+ * GET /download/:version - Download a specific stored server version
+ */
+app.get('/download/:version', async (req, res) => {
+  try {
+    const storedVersion = getVersion(req.params.version);
+
+    if (!storedVersion) {
+      return res.status(404).send(getErrorHTML(`Version ${req.params.version} is not available`));
+    }
+
+    const { options, errors } = parseServerOptions(req.query);
+    if (errors.length > 0) {
+      return res.status(400).send(getErrorHTML(`Invalid server options: ${errors.join('; ')}`));
+    }
+
+    log.info(`Serving stored server (${storedVersion.version})`);
+    return await serveExistingServer(res, storedVersion, options);
+
+  } catch (error) {
+    log.error(`Error in /download/${req.params.version}: ${error.message}`);
+    res.status(500).send(getErrorHTML(error.message));
+  }
+});
+
+/**
+ * GET /checksums/:version - Signed SHA-256 checksums of a stored version's archive and files
+ * The Ed25519 signature covers JSON.stringify(manifest); "latest" is the version /download serves
+ */
+app.get('/checksums/:version', (req, res) => {
+  try {
+    const version = resolveVersionParam(req.params.version);
+    const checksums = version ? getVersionChecksums(version) : null;
+
+    if (!checksums) {
+      return res.status(404).json({ error: `No checksums for version ${req.params.version}` });
+    }
+
+    const key = getPublicKeyInfo();
+    res.json({
+      manifest: checksums.manifest,
+      signature: checksums.signature,
+      algorithm: key.algorithm,
+      publicKey: key.publicKey,
+      keyFingerprint: key.fingerprint
+    });
+
+  } catch (error) {
+    log.error(`Error in /checksums/${req.params.version}: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /changelog/:version - Mods and config files changed since the previous build
+ * (JSON, ?format=text for the CHANGELOG.txt bundled in the archive); "latest" is the version /download serves
+ */
+app.get('/changelog/:version', (req, res) => {
+  try {
+    const version = resolveVersionParam(req.params.version);
+    const changelog = version ? getVersionChangelog(version) : null;
+
+    if (!changelog) {
+      return res.status(404).json({ error: `No changelog for version ${req.params.version}` });
+    }
+
+    if (req.query.format === 'text') {
+      return res.type('text/plain; charset=utf-8').send(formatChangelogText(changelog));
+    }
+    res.json(changelog);
+
+  } catch (error) {
+    log.error(`Error in /changelog/${req.params.version}: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /update/:fromVersion/:toVersion - Download update package with changed files only
+ */
+app.get('/update/:fromVersion/:toVersion', async (req, res) => {
+  const { fromVersion, toVersion } = req.params;
+
+  try {
+    if (fromVersion === toVersion) {
+      return res.status(400).send(getErrorHTML('Source and target versions are the same'));
+    }
+
+    const versions = [];
+    for (const version of [fromVersion, toVersion]) {
+      const storedVersion = getVersion(version);
+      const manifest = storedVersion ? getVersionManifest(version) : null;
+      if (!manifest) {
+        return res.status(404).send(getErrorHTML(`No update data for version ${version}`));
+      }
+      versions.push({ ...storedVersion, manifest });
+    }
+
+    const updatePackage = await getUpdatePackage(versions[0], versions[1]);
+    log.info(`Serving update package ${fromVersion} -> ${toVersion} (${getFileSizeMB(updatePackage.archivePath)})`);
+    trackArchiveDownload(res, `${fromVersion}..${toVersion}`, 'update');
+    await sendArchive(res, updatePackage.archivePath, `IIS-Update-${fromVersion}-to-${toVersion}.zip`);
+
+  } catch (error) {
+    log.error(`Error in /update/${fromVersion}/${toVersion}: ${error.message}`);
+    res.status(500).send(getErrorHTML(error.message));
+  }
+});
+
+/**
+ * Get original query string (with leading "?") to carry options across redirects
+ */
+function getQueryString(req) {
+  const index = req.originalUrl.indexOf('?');
+  return index >= 0 ? req.originalUrl.slice(index) : '';
+}
+
+/**
+ * Require admin token (Authorization: Bearer <token> or X-Admin-Token header)
+ */
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) {
+    return res.status(403).json({ error: 'Admin API is disabled (ADMIN_TOKEN not set)' });
+  }
+
+  const header = req.get('authorization') || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : (req.get('x-admin-token') || '');
+
+  const expected = Buffer.from(ADMIN_TOKEN);
+  const actual = Buffer.from(token);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return res.status(401).json({ error: 'Invalid admin token' });
+  }
+
+  next();
+}
+
+/**
+ * GET /admin/mod-rules - View current mod rules
+ */
+app.get('/admin/mod-rules', requireAdmin, (req, res) => {
+  try {
+    res.json(loadRules());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /admin/mod-rules - Replace mod rules (validated before saving)
+ */
+app.put('/admin/mod-rules', requireAdmin, express.json(), (req, res) => {
+  const result = validateRules(req.body);
+  if (!result.valid) {
+    return res.status(400).json(result);
+  }
+
+  try {
+    saveRules(req.body);
+    log.info(`Mod rules updated (${req.body.rules.length} rules)`);
+    recordAudit(req, 'mod-rules', { result: 'saved', rules: req.body.rules.length });
+    res.json(result);
+  } catch (error) {
+    log.error(`Error saving mod rules: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /admin/mod-rules/validate - Validate mod rules without saving
+ */
+app.post('/admin/mod-rules/validate', requireAdmin, express.json(), (req, res) => {
+  res.json(validateRules(req.body));
+});
+
+/**
+ * POST /admin/mod-rules/dry-run - Apply rules (request body or saved rules) to the last scanned modpack
+ */
+app.post('/admin/mod-rules/dry-run', requireAdmin, express.json(), (req, res) => {
+  try {
+    const doc = req.body && req.body.rules ? req.body : loadRules();
+    const result = validateRules(doc);
+    if (!result.valid) {
+      return res.status(400).json(result);
+    }
+
+    const scan = loadModpackScan();
+    if (!scan) {
+      return res.status(404).json({ error: 'No modpack scanned yet, run a build first' });
+    }
+
+    const version = req.query.version || scan.version;
+    const mods = scan.jars.map(metadata => {
+      const decision = decideMod(metadata, classifyMod(metadata), doc.rules, version);
+      return {
+        file: metadata.file,
+        modid: metadata.mods[0] ? metadata.mods[0].modid : '',
+        version: metadata.mods[0] ? metadata.mods[0].version : '',
+        action: decision.remove ? 'remove' : 'keep',
+        source: decision.source,
+        reason: decision.reason
+      };
+    });
+
+    res.json({
+      modpackVersion: scan.version,
+      evaluatedForVersion: version,
+      scannedAt: scan.scannedAt,
+      removed: mods.filter(m => m.action === 'remove').length,
+      mods: mods
+    });
+  } catch (error) {
+    log.error(`Error in mod rules dry-run: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /admin/blocklist - View blocklisted jar hashes
+ */
+app.get('/admin/blocklist', requireAdmin, (req, res) => {
+  try {
+    res.json(loadBlocklist());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /admin/blocklist - Replace blocklisted jar hashes (validated before saving)
+ */
+app.put('/admin/blocklist', requireAdmin, express.json({ limit: '5mb' }), (req, res) => {
+  const result = validateBlocklist(req.body);
+  if (!result.valid) {
+    return res.status(400).json(result);
+  }
+
+  try {
+    saveBlocklist(req.body);
+    recordAudit(req, 'blocklist', { result: 'saved', hashes: req.body.hashes.length });
+    res.json(result);
+  } catch (error) {
+    log.error(`Error saving jar blocklist: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /admin/rebuild - Rebuild the current version from its source file, even though it is already built
+ * Never moves to another version: 409 when nothing is built yet, 404 when the source no longer has the file.
+ */
+app.post('/admin/rebuild', requireAdmin, async (req, res) => {
+  try {
+    if (isBuildInProgress) {
+      recordAudit(req, 'rebuild', { result: 'rejected', reason: 'build in progress' });
+      return res.status(409).json({ error: 'Build already in progress' });
+    }
+
+    const currentVersion = getCurrentVersion();
+    if (!currentVersion) {
+      recordAudit(req, 'rebuild', { result: 'rejected', reason: 'no current version' });
+      return res.status(409).json({ error: 'No version has been built yet' });
+    }
+
+    const updateInfo = await findModpackVersion(currentVersion);
+    if (!updateInfo) {
+      recordAudit(req, 'rebuild', { result: 'rejected', reason: 'not in source', version: currentVersion });
+      return res.status(404).json({ error: `Source no longer has version ${currentVersion}` });
+    }
+
+    const build = startBuild(updateInfo, 'admin');
+    if (!build) {
+      recordAudit(req, 'rebuild', { result: 'rejected', reason: 'build in progress' });
+      return res.status(409).json({ error: 'Build already in progress' });
+    }
+    recordAudit(req, 'rebuild', { result: 'started', version: updateInfo.latestVersion });
+    build.catch(() => {});
+
+    res.status(202).json({ started: true, version: updateInfo.latestVersion, buildId: buildRecorder.id });
+  } catch (error) {
+    log.error(`Error in admin rebuild: ${error.message}`);
+    recordAudit(req, 'rebuild', { result: 'error', error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /admin/build/cancel - Cancel running build (previous server stays available)
+ */
+app.post('/admin/build/cancel', requireAdmin, (req, res) => {
+  if (!isBuildInProgress || !buildAbortController) {
+    recordAudit(req, 'cancel', { result: 'rejected', reason: 'no build in progress' });
+    return res.status(409).json({ error: 'No build in progress' });
+  }
+
+  setBuildProgress('Cancelling build...');
+  buildAbortController.abort(new Error('Build cancelled by admin'));
+  recordAudit(req, 'cancel', { result: 'requested' });
+  res.status(202).json({ cancelling: true });
+});
+
+/**
+ * GET /admin/pin - View pinned version
+ */
+app.get('/admin/pin', requireAdmin, (req, res) => {
+  res.json({ pinnedVersion: getPinnedVersion() });
+});
+
+/**
+ * PUT /admin/pin - Pin a stored version ({"version": "...", "reason": "..."}, defaults to current)
+ */
+app.put('/admin/pin', requireAdmin, express.json(), (req, res) => {
+  const version = (req.body && req.body.version) || getCurrentVersion();
+  const reason = req.body && typeof req.body.reason === 'string' ? req.body.reason : '';
+
+  if (!version || !getVersion(version)) {
+    recordAudit(req, 'pin', { result: 'rejected', version: version || null });
+    return res.status(404).json({ error: `Version ${version || 'none'} is not stored` });
+  }
+
+  try {
+    const pin = pinVersion(version, reason);
+    recordAudit(req, 'pin', { result: 'pinned', version: version, reason: reason });
+    res.json({ pinnedVersion: pin });
+  } catch (error) {
+    log.error(`Error pinning version: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /admin/pin - Unpin version and resume automatic updates
+ */
+app.delete('/admin/pin', requireAdmin, (req, res) => {
+  try {
+    const wasPinned = unpinVersion();
+    recordAudit(req, 'unpin', { result: wasPinned ? 'unpinned' : 'not pinned' });
+    res.json({ pinnedVersion: null });
+  } catch (error) {
+    log.error(`Error unpinning version: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /admin/cache/purge - Delete cached variants and update packages
+ * With {"versions": true} also deletes stored versions except current and pinned
+ */
+app.post('/admin/cache/purge', requireAdmin, express.json(), (req, res) => {
+  try {
+    const purged = {
+      variants: purgeVariants(),
+      updates: purgeUpdatePackages()
+    };
+
+    if (req.body && req.body.versions === true) {
+      const pin = getPinnedVersion();
+      purged.versions = purgeVersions([getCurrentVersion(), pin && pin.version].filter(Boolean));
+    }
+
+    recordAudit(req, 'purge', { result: 'purged', purged: purged });
+    res.json({ purged: purged });
+  } catch (error) {
+    log.error(`Error purging caches: ${error.message}`);
+    recordAudit(req, 'purge', { result: 'error', error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /admin/audit - Latest admin actions (?limit=, default 100)
+ */
+app.get('/admin/audit', requireAdmin, (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+    res.json({ entries: readAuditLog(limit) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
   }
 });
 
 /**
- * GET /download - Download server file (or redirect to build page)
+ * GET /logs - Recent log entries from the in-memory buffer
+ * Filters: ?level= (minimum), ?component=, ?buildId=, ?requestId=, ?limit= (default 200).
+ * ?tail=1 streams the matching entries, then new ones as they are logged (Server-Sent Events).
  */
-app.get('/download', async (req, res) => {
-  try {
-    const currentVersion = getCurrentVersion();
-    const hasServer = hasBuiltServer();
+app.get('/logs', requireAdmin, (req, res) => {
+  const filter = {
+    level: req.query.level || null,
+    component: req.query.component || null,
+    buildId: req.query.buildId || null,
+    requestId: req.query.requestId || null
+  };
+  if (filter.level && !LEVELS.includes(filter.level)) {
+    return res.status(400).json({ error: `Unknown level "${filter.level}" (${LEVELS.join(', ')})` });
+  }
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 200, 0), 5000);
 
-    // If build is in progress, redirect to building page
-    if (isBuildInProgress) {
-      return res.redirect('/building');
-    }
+  if (!req.query.tail) {
+    return res.json({ entries: getLogEntries(filter, limit) });
+  }
 
-    // Check for updates
-    let updateInfo;
-    try {
-      updateInfo = await checkForUpdate(currentVersion || 'none');
-    } catch (error) {
-      // If we can't check for updates but have a built server, serve it
-      if (hasServer) {
-        log('Warning: Cannot check for updates, serving existing server');
-        return serveExistingServer(res);
-      }
-      // Redirect to building page to start the process
-      return res.redirect('/building');
-    }
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    // Disable proxy buffering (Nginx) so events arrive immediately
+    'X-Accel-Buffering': 'no'
+  });
 
-    // If no server or update needed, redirect to building page
-    if (!hasServer || updateInfo.hasUpdate) {
-      return res.redirect('/building');
+  const send = (entry) => {
+    res.write(`event: log\nid: ${entry.seq}\ndata: ${JSON.stringify(entry)}\n\n`);
+  };
+
+  // Backlog first; a reconnecting EventSource resumes after the last entry it received
+  const lastEventId = parseInt(req.get('last-event-id'), 10);
+  const backlog = lastEventId > 0
+    ? getLogEntries({ ...filter, after: lastEventId })
+    : getLogEntries(filter, limit);
+  backlog.forEach(send);
+
+  const stopTail = onLog((entry) => {
+    if (matchesFilter(entry, filter)) {
+      send(entry);
     }
+  });
 
-    // Server is ready, serve it
-    log(`Serving existing server (${currentVersion})`);
-    return serveExistingServer(res);
+  // Keep connection alive through proxies
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 25000);
 
-  } catch (error) {
-    log(`Error in /download: ${error.message}`);
-    res.status(500).send(`
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    stopTail();
+  });
+});
+
+/**
+ * Escape text for safe insertion into HTML
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Generate error HTML page
+ */
+function getErrorHTML(message) {
+  return `
       <!DOCTYPE html>
       <html lang="en">
       <head>
@@ -200,13 +967,12 @@ app.get('/download', async (req, res) => {
       </head>
       <body>
         <h1>Error</h1>
-        <p>${error.message}</p>
+        <p>${escapeHtml(message)}</p>
         <a href="/">Go back</a>
       </body>
       </html>
-    `);
-  }
-});
+    `;
+}
 
 /**
  * Generate build progress HTML page
@@ -501,6 +1267,7 @@ function getBuildProgressHTML(version) {
                 buildComplete: '✓ Build Complete!',
                 serverReady: 'Server is ready to download.',
                 downloadButton: '⬇ DOWNLOAD SERVER ⬇',
+                buildFailed: '✗ Build Failed',
                 steps: {
                     'Checking for updates': 'Checking for updates',
                     'Downloading modpack': 'Downloading modpack',
@@ -522,6 +1289,7 @@ function getBuildProgressHTML(version) {
                 buildComplete: '✓ Сборка завершена!',
                 serverReady: 'Сервер готов к загрузке.',
                 downloadButton: '⬇ СКАЧАТЬ СЕРВЕР ⬇',
+                buildFailed: '✗ Ошибка сборки',
                 steps: {
                     'Checking for updates': 'Проверка обновлений',
                     'Downloading modpack': 'Загрузка модпака',
@@ -559,6 +1327,46 @@ function getBuildProgressHTML(version) {
         });
 
         let pollInterval;
+        let steps = [];
+
+        // Step details and errors contain upstream file names and error messages
+        function escapeHtml(text) {
+            const element = document.createElement('div');
+            element.textContent = String(text);
+            return element.innerHTML;
+        }
+
+        function renderSteps() {
+            const completedSteps = steps.filter(s => s.status === 'completed').length;
+            const totalSteps = steps.length || 1;
+            const progress = Math.round((completedSteps / totalSteps) * 100);
+
+            // Update progress bar
+            document.getElementById('progress-bar').style.width = progress + '%';
+            document.getElementById('progress-text').textContent = progress + '%';
+
+            // Update steps list
+            const stepsList = document.getElementById('steps-list');
+            stepsList.innerHTML = steps.map(step => \`
+                <li class="step \${step.status}">
+                    <div class="step-icon"></div>
+                    <div style="flex: 1;">
+                        <div class="step-name">\${t.steps[step.name] || escapeHtml(step.name)}</div>
+                        \${step.detail ? '<div class="step-detail">' + escapeHtml(step.detail) + '</div>' : ''}
+                    </div>
+                </li>
+            \`).join('');
+        }
+
+        function showBuildFailed(error) {
+            const infoBox = document.querySelector('.info-box');
+            infoBox.innerHTML = \`
+                <div style="text-align: center;">
+                    <h3 style="color: #c0392b; margin-bottom: 10px; font-size: 1.1em;">\${t.buildFailed}</h3>
+                    <p style="font-size: 0.9em;">\${escapeHtml(error || '')}</p>
+                </div>
+            \`;
+        }
 
         function updateProgress() {
             fetch('/version')
@@ -571,30 +1379,59 @@ function getBuildProgressHTML(version) {
                         return;
                     }
 
-                    const steps = data.buildSteps || [];
-                    const completedSteps = steps.filter(s => s.status === 'completed').length;
-                    const totalSteps = steps.length;
-                    const progress = Math.round((completedSteps / totalSteps) * 100);
-
-                    // Update progress bar
-                    document.getElementById('progress-bar').style.width = progress + '%';
-                    document.getElementById('progress-text').textContent = progress + '%';
-
-                    // Update steps list
-                    const stepsList = document.getElementById('steps-list');
-                    stepsList.innerHTML = steps.map(step => \`
-                        <li class="step \${step.status}">
-                            <div class="step-icon"></div>
-                            <div style="flex: 1;">
-                                <div class="step-name">\${t.steps[step.name] || step.name}</div>
-                                \${step.detail ? '<div class="step-detail">' + step.detail + '</div>' : ''}
-                            </div>
-                        </li>
-                    \`).join('');
+                    steps = data.buildSteps || [];
+                    renderSteps();
                 })
                 .catch(error => console.error('Error fetching progress:', error));
         }
 
+        function startPolling() {
+            updateProgress();
+
+            // Update every 2 seconds
+            pollInterval = setInterval(updateProgress, 2000);
+        }
+
+        function startEventStream() {
+            const source = new EventSource('/build/events');
+
+            source.addEventListener('state', event => {
+                const data = JSON.parse(event.data);
+                steps = data.buildSteps || [];
+                renderSteps();
+
+                // Build already finished before we subscribed
+                if (!data.buildInProgress) {
+                    source.close();
+                    if (data.buildError) {
+                        showBuildFailed(data.buildError);
+                    } else {
+                        showDownloadButton();
+                    }
+                }
+            });
+
+            source.addEventListener('step', event => {
+                const data = JSON.parse(event.data);
+                const step = steps.find(s => s.id === data.id);
+                if (step) {
+                    step.status = data.status;
+                    step.detail = data.detail;
+                    renderSteps();
+                }
+            });
+
+            source.addEventListener('done', event => {
+                const data = JSON.parse(event.data);
+                source.close();
+                if (data.success) {
+                    showDownloadButton();
+                } else {
+                    showBuildFailed(data.error);
+                }
+            });
+        }
+
         function showDownloadButton() {
             // Mark all steps as completed
             const stepsList = document.getElementById('steps-list');
@@ -609,7 +1446,7 @@ function getBuildProgressHTML(version) {
                 <div style="text-align: center;">
                     <h3 style="color: #27ae60; margin-bottom: 10px; font-size: 1.1em;">\${t.buildComplete}</h3>
                     <p style="margin-bottom: 15px; font-size: 0.9em;">\${t.serverReady}</p>
-                    <a href="/download" style="
+                    <a href="/download\${window.location.search}" style="
                         display: inline-block;
                         background: linear-gradient(180deg, #5a9fd4 0%, #4a90e2 100%);
                         color: #fff;
@@ -636,21 +1473,503 @@ function getBuildProgressHTML(version) {
             document.getElementById('progress-text').textContent = '100%';
         }
 
-        // Initial update
-        updateProgress();
+        // Prefer pushed events, fall back to polling in older browsers
+        if (window.EventSource) {
+            startEventStream();
+        } else {
+            startPolling();
+        }
+    </script>
+</body>
+</html>
+  `;
+}
+
+/**
+ * Format duration in milliseconds for history pages
+ */
+function formatDuration(ms) {
+  if (ms === null || ms === undefined) return '-';
+  if (ms < 60000) return `${(ms / 1000).toFixed(1)}s`;
+  const minutes = Math.floor(ms / 60000);
+  const seconds = Math.round((ms % 60000) / 1000);
+  return `${minutes}m ${String(seconds).padStart(2, '0')}s`;
+}
+
+/**
+ * Generate build history page shell (same look as the build page)
+ */
+function getHistoryPageHTML(titleKey, title, subtitle, body) {
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(title)}</title>
+    <style>
+        @import url('https://fonts.googleapis.com/css2?family=Press+Start+2P&display=swap');
+
+        * { margin: 0; padding: 0; box-sizing: border-box; }
+
+        body {
+            font-family: 'Courier New', monospace;
+            background: #d5d5d5;
+            min-height: 100vh;
+            display: flex;
+            justify-content: center;
+            align-items: flex-start;
+            padding: 20px 10px;
+            color: #2a2a2a;
+        }
+
+        .container {
+            background: linear-gradient(135deg, #f5f5f5 0%, #e8e8e8 100%);
+            border: 3px solid #999;
+            box-shadow: 0 0 0 1px #bbb, 0 5px 20px rgba(0, 0, 0, 0.15), inset 0 1px 0 rgba(255, 255, 255, 0.8);
+            width: 100%;
+            max-width: 900px;
+            border-top: 3px solid #4a90e2;
+        }
+
+        .header {
+            background: linear-gradient(180deg, #e0e0e0 0%, #d0d0d0 100%);
+            padding: 15px 20px;
+            border-bottom: 2px solid #aaa;
+        }
+
+        h1 {
+            font-family: 'Press Start 2P', monospace;
+            color: #2c5aa0;
+            font-size: 1em;
+            margin-bottom: 8px;
+            text-shadow: 1px 1px 0 rgba(255, 255, 255, 0.8);
+        }
+
+        .subtitle { color: #666; font-size: 0.8em; margin-top: 5px; }
+        input[type="search"] { width: 100%; padding: 6px 8px; font-family: inherit; border: 2px solid #aaa; margin-bottom: 10px; }
+        .content { padding: 15px 20px; }
+        a { color: #2c5aa0; }
+
+        table { width: 100%; border-collapse: collapse; font-size: 0.85em; }
+        th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #ccc; }
+        th { color: #2c5aa0; }
+
+        .result { font-weight: bold; }
+        .result.success { color: #27ae60; }
+        .result.failed, .result.interrupted, .result.quarantined { color: #c0392b; }
+        .result.cancelled, .result.warning { color: #e67e22; }
+        .result.running { color: #4a90e2; }
+
+        .step {
+            background: rgba(255, 255, 255, 0.6);
+            border: 2px solid #ccc;
+            border-left: 4px solid #ccc;
+            padding: 8px 12px;
+            margin-bottom: 6px;
+            display: flex;
+            justify-content: space-between;
+            font-size: 0.9em;
+        }
+        .step.completed { border-left-color: #27ae60; background: rgba(39, 174, 96, 0.1); }
+        .step.in-progress { border-left-color: #4a90e2; background: rgba(74, 144, 226, 0.1); }
+        .step.failed { border-left-color: #c0392b; background: rgba(192, 57, 43, 0.1); }
+        .step-detail { font-size: 0.85em; color: #666; margin-top: 3px; }
+
+        dl { display: grid; grid-template-columns: max-content 1fr; gap: 4px 15px; font-size: 0.85em; margin-bottom: 15px; }
+        dt { color: #666; }
+        dd { word-break: break-all; }
+
+        pre {
+            background: #2a2a2a;
+            color: #ddd;
+            padding: 10px;
+            font-size: 0.75em;
+            max-height: 400px;
+            overflow: auto;
+            margin-top: 15px;
+        }
+
+        footer {
+            background: #d0d0d0;
+            padding: 10px 20px;
+            border-top: 2px solid #aaa;
+            text-align: center;
+            font-size: 0.75em;
+            color: #666;
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1 data-i18n="${titleKey}">${escapeHtml(title)}</h1>
+            <p class="subtitle">${subtitle}</p>
+        </div>
+        <div class="content">
+            ${body}
+        </div>
+        <footer>
+            <p data-i18n="footer">IIS Auto Server • Industrial Automation System</p>
+        </footer>
+    </div>
+
+    <script>
+        const translations = {
+            ru: {
+                historyTitle: 'ИСТОРИЯ СБОРОК',
+                buildTitle: 'ДЕТАЛИ СБОРКИ',
+                footer: 'IIS Auto Server • Система промышленной автоматизации',
+                started: 'Начало',
+                version: 'Версия',
+                trigger: 'Запуск',
+                duration: 'Длительность',
+                result: 'Результат',
+                source: 'Файл',
+                steps: 'Шаги',
+                log: 'Журнал',
+                back: '← Все сборки',
+                modListTitle: 'СПИСОК МОДОВ',
+                search: 'Поиск модов...',
+                jar: 'Файл',
+                modid: 'ID мода',
+                name: 'Название',
+                size: 'Размер',
+                reason: 'Причина',
+                removedMods: 'Удалённые клиентские моды',
+                noRemovedMods: 'Клиентские моды не удалялись.',
+                configOverlays: 'Оверлеи конфигов',
+                file: 'Файл',
+                key: 'Ключ',
+                value: 'Значение',
+                staleOverlays: 'Устаревшие патчи',
+                validation: 'Проверка сервера',
+                level: 'Уровень',
+                check: 'Проверка',
+                message: 'Сообщение',
+                error: 'ошибка',
+                warning: 'предупреждение',
+                malwareScan: 'Проверка на вредоносный код',
+                quarantineDir: 'Найденные файлы перемещены в'
+            }
+        };
+
+        const browserLang = (navigator.language || 'en').split('-')[0].toLowerCase();
+        const currentLang = new URLSearchParams(window.location.search).get('lang') || browserLang;
+        const t = translations[currentLang];
+
+        if (t) {
+            document.documentElement.lang = currentLang;
+            document.querySelectorAll('[data-i18n]').forEach(element => {
+                const key = element.getAttribute('data-i18n');
+                if (t[key]) element.textContent = t[key];
+            });
+            document.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+                const key = element.getAttribute('data-i18n-placeholder');
+                if (t[key]) element.placeholder = t[key];
+            });
+        }
+
+        // Mod list search
+        const filter = document.getElementById('filter');
+        if (filter) {
+            filter.addEventListener('input', () => {
+                const query = filter.value.trim().toLowerCase();
+                document.querySelectorAll('tr[data-search]').forEach(row => {
+                    row.hidden = query !== '' && !row.dataset.search.includes(query);
+                });
+            });
+        }
 
-        // Update every 2 seconds
-        pollInterval = setInterval(updateProgress, 2000);
+        // Show times in the visitor's timezone
+        document.querySelectorAll('time').forEach(element => {
+            element.textContent = new Date(element.getAttribute('datetime')).toLocaleString();
+        });
     </script>
 </body>
 </html>
   `;
 }
 
+/**
+ * Generate build history list page
+ */
+function getBuildHistoryHTML(builds) {
+  const rows = builds.map(build => `
+                <tr>
+                    <td><a href="/history/${build.id}"><time datetime="${build.startedAt}">${build.startedAt}</time></a></td>
+                    <td>${escapeHtml(build.version)}</td>
+                    <td>${escapeHtml(build.trigger || '-')}</td>
+                    <td>${formatDuration(build.durationMs)}</td>
+                    <td class="result ${escapeHtml(build.result)}" title="${escapeHtml(build.error || '')}">${escapeHtml(build.result)}</td>
+                </tr>`).join('');
+
+  const body = builds.length === 0
+    ? '<p>No builds yet.</p>'
+    : `
+            <table>
+                <tr>
+                    <th data-i18n="started">Started</th>
+                    <th data-i18n="version">Version</th>
+                    <th data-i18n="trigger">Trigger</th>
+                    <th data-i18n="duration">Duration</th>
+                    <th data-i18n="result">Result</th>
+                </tr>${rows}
+            </table>`;
+
+  return getHistoryPageHTML('historyTitle', 'BUILD HISTORY', `${builds.length} builds • <a href="/builds">JSON</a>`, body);
+}
+
+/**
+ * Generate single build page with steps and captured log
+ */
+function getBuildDetailHTML(build) {
+  const fields = [
+    ['version', 'Version', escapeHtml(build.version)],
+    ['result', 'Result', `<span class="result ${escapeHtml(build.result)}">${escapeHtml(build.result)}</span>${build.error ? ` - ${escapeHtml(build.error)}` : ''}`],
+    ['trigger', 'Trigger', escapeHtml(build.trigger || '-')],
+    ['started', 'Started', `<time datetime="${build.startedAt}">${build.startedAt}</time>`],
+    ['duration', 'Duration', formatDuration(build.durationMs)],
+    ['source', 'Source file', escapeHtml(build.sourceFile || '-')],
+    [null, 'Source MD5', escapeHtml(build.sourceMd5 || '-')],
+    [null, 'Source SHA-256', escapeHtml(build.sourceSha256 || '-')],
+    [null, 'Archive SHA-256', escapeHtml(build.archiveSha256 || '-')]
+  ];
+
+  const steps = build.steps.map(step => `
+            <div class="step ${escapeHtml(step.status)}">
+                <div>
+                    <div>${escapeHtml(step.name)}</div>
+                    ${step.detail ? `<div class="step-detail">${escapeHtml(step.detail)}</div>` : ''}
+                </div>
+                <div>${formatDuration(step.durationMs)}</div>
+            </div>`).join('');
+
+  const body = `
+            <dl>
+                ${fields.map(([key, label, value]) => `<dt${key ? ` data-i18n="${key}"` : ''}>${label}</dt><dd>${value}</dd>`).join('\n                ')}
+            </dl>
+            <h3 data-i18n="steps">Steps</h3>
+            ${steps}${getMalwareScanHTML(build.malwareScan)}${getValidationHTML(build.validation)}${getConfigOverlaysHTML(build.configOverlays)}
+            <h3 data-i18n="log" style="margin-top: 15px;">Log</h3>
+            <pre>${escapeHtml(build.log.join('\n'))}</pre>`;
+
+  return getHistoryPageHTML(
+    'buildTitle',
+    'BUILD DETAILS',
+    `${escapeHtml(build.version)} • <a href="/history" data-i18n="back">← All builds</a> • <a href="/builds/${build.id}">JSON</a>`,
+    body
+  );
+}
+
+/**
+ * Generate malware scan section of the build page (findings of a quarantined build)
+ */
+function getMalwareScanHTML(scan) {
+  if (!scan || scan.hits.length === 0) {
+    return '';
+  }
+
+  return `
+            <h3 data-i18n="malwareScan" style="margin-top: 15px;">Malware scan</h3>
+            <p><span data-i18n="quarantineDir">Flagged jars were moved to</span> <code>${escapeHtml(scan.quarantineDir || '-')}</code></p>
+            <table>
+                <tr>
+                    <th data-i18n="file">File</th>
+                    <th data-i18n="check">Check</th>
+                    <th data-i18n="message">Message</th>
+                </tr>${scan.hits.map(hit => `
+                <tr>
+                    <td>${escapeHtml(hit.file)}<br><small>${escapeHtml(hit.sha256)}</small></td>
+                    <td>${escapeHtml(hit.rule)}</td>
+                    <td>${escapeHtml(hit.description)}${hit.className ? ` (${escapeHtml(hit.className)})` : ''}</td>
+                </tr>`).join('')}
+            </table>`;
+}
+
+/**
+ * Generate validation section of the build page (errors and warnings)
+ */
+function getValidationHTML(validation) {
+  if (!validation || (validation.errors.length === 0 && validation.warnings.length === 0)) {
+    return '';
+  }
+
+  const rows = [
+    ...validation.errors.map(issue => ['failed', 'error', issue]),
+    ...validation.warnings.map(issue => ['warning', 'warning', issue])
+  ].map(([result, level, issue]) => `
+                <tr>
+                    <td class="result ${result}" data-i18n="${level}">${level}</td>
+                    <td>${escapeHtml(issue.check)}</td>
+                    <td>${escapeHtml(issue.message)}</td>
+                </tr>`).join('');
+
+  return `
+            <h3 data-i18n="validation" style="margin-top: 15px;">Validation</h3>
+            <table>
+                <tr>
+                    <th data-i18n="level">Level</th>
+                    <th data-i18n="check">Check</th>
+                    <th data-i18n="message">Message</th>
+                </tr>${rows}
+            </table>`;
+}
+
+/**
+ * Generate config overlay section of the build page (applied keys and stale patches)
+ */
+function getConfigOverlaysHTML(overlays) {
+  if (!overlays || (overlays.applied.length === 0 && overlays.stale.length === 0)) {
+    return '';
+  }
+
+  const formatValue = (value) => escapeHtml(Array.isArray(value) ? value.join(', ') : value);
+  const applied = overlays.applied.length === 0 ? '' : `
+            <table>
+                <tr>
+                    <th data-i18n="file">File</th>
+                    <th data-i18n="key">Key</th>
+                    <th data-i18n="value">Value</th>
+                </tr>${overlays.applied.map(patch => `
+                <tr>
+                    <td>${escapeHtml(patch.file)}</td>
+                    <td>${escapeHtml(patch.key)}</td>
+                    <td>${formatValue(patch.from)} → ${formatValue(patch.to)}</td>
+                </tr>`).join('')}
+            </table>`;
+  const stale = overlays.stale.length === 0 ? '' : `
+            <h4 data-i18n="staleOverlays">Stale patches</h4>
+            <table>
+                <tr>
+                    <th data-i18n="file">File</th>
+                    <th data-i18n="key">Key</th>
+                    <th data-i18n="reason">Reason</th>
+                </tr>${overlays.stale.map(patch => `
+                <tr>
+                    <td>${escapeHtml(patch.file)}</td>
+                    <td>${escapeHtml(patch.key || '-')}</td>
+                    <td>${escapeHtml(patch.reason)}</td>
+                </tr>`).join('')}
+            </table>`;
+
+  return `
+            <h3 data-i18n="configOverlays" style="margin-top: 15px;">Config overlays</h3>${applied}${stale}`;
+}
+
+/**
+ * Generate mod list page with search
+ */
+function getModListHTML(inventory) {
+  const formatSize = (bytes) => (bytes >= 1024 * 1024
+    ? `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+    : `${Math.max(1, Math.round(bytes / 1024))} KB`);
+  const modRow = (mod, extraCell = '') => {
+    const modids = mod.mods && mod.mods.length > 1 ? mod.mods.map(m => m.modid).join(', ') : mod.modid;
+    const search = [mod.file, modids, mod.name, mod.version].join(' ').toLowerCase();
+    return `
+                <tr data-search="${escapeHtml(search)}">
+                    <td>${escapeHtml(mod.file)}</td>
+                    <td>${escapeHtml(modids || '-')}</td>
+                    <td>${escapeHtml(mod.name || '-')}</td>
+                    <td>${escapeHtml(mod.version || '-')}</td>
+                    <td>${formatSize(mod.size)}</td>${extraCell}
+                </tr>`;
+  };
+  const header = (extraHeader = '') => `
+                <tr>
+                    <th data-i18n="jar">Jar</th>
+                    <th data-i18n="modid">Mod ID</th>
+                    <th data-i18n="name">Name</th>
+                    <th data-i18n="version">Version</th>
+                    <th data-i18n="size">Size</th>${extraHeader}
+                </tr>`;
+
+  const removed = inventory.removed.length === 0
+    ? '<p data-i18n="noRemovedMods">No client-side mods were removed.</p>'
+    : `
+            <table>${header('\n                    <th data-i18n="reason">Reason</th>')}${inventory.removed.map(mod => modRow(mod, `
+                    <td>${escapeHtml(mod.reason)}</td>`)).join('')}
+            </table>`;
+
+  const body = `
+            <p><input type="search" id="filter" data-i18n-placeholder="search" placeholder="Search mods..." autofocus></p>
+            <table>${header()}${inventory.mods.map(mod => modRow(mod)).join('')}
+            </table>
+            <h3 data-i18n="removedMods" style="margin-top: 15px;">Removed client-side mods</h3>
+            ${removed}`;
+
+  return getHistoryPageHTML(
+    'modListTitle',
+    'MOD LIST',
+    `${escapeHtml(inventory.version)} • ${inventory.count} mods • <a href="/mods?version=${encodeURIComponent(inventory.version)}">JSON</a>`,
+    body
+  );
+}
+
+/**
+ * Start build for update info
+ * @param {Object} updateInfo - Update info from checkForUpdate
+ * @param {string} trigger - What started the build, kept in build history ("download", "scheduler", "admin")
+ * @returns {Promise<void>|false} Resolves when build completes, rejects on failure; false when a build is already running
+ */
+function startBuild(updateInfo, trigger = 'download') {
+  // Callers check before awaiting the source; another build may have started meanwhile
+  if (isBuildInProgress) {
+    return false;
+  }
+
+  const controller = new AbortController();
+  const recorder = createBuildRecorder(updateInfo, trigger);
+
+  isBuildInProgress = true;
+  lastBuildError = null;
+  buildAbortController = controller;
+  buildRecorder = recorder;
+
+  // Everything logged during the build carries its id (build history captures by it)
+  return runWithLogContext({ buildId: recorder.id }, () => {
+    log.info(`Starting build ${recorder.id} for new version: ${updateInfo.latestVersion} (${trigger})`);
+    resetBuildSteps();
+    setBuildProgress('Starting build process...');
+    buildEvents.emit('state', getBuildState());
+
+    return performBuild(updateInfo, controller.signal)
+      .then((report) => {
+        recorder.finish('success', {
+          archiveSha256: report.storedVersion.sha256,
+          configOverlays: report.configOverlays,
+          validation: report.validation,
+          malwareScan: report.malwareScan
+        });
+        buildEvents.emit('done', { success: true, version: updateInfo.latestVersion });
+      })
+      .catch(error => {
+        log.error(`Build failed: ${error.message}`);
+        const result = error.quarantined ? 'quarantined' : (controller.signal.aborted ? 'cancelled' : 'failed');
+        recorder.finish(result, {
+          error: error.message,
+          validation: error.validation,
+          malwareScan: error.malwareScan
+        });
+        isBuildInProgress = false;
+        lastBuildError = error.message;
+        setBuildProgress(`Build failed: ${error.message}`);
+        buildEvents.emit('done', { success: false, version: updateInfo.latestVersion, error: error.message });
+        throw error;
+      });
+  });
+}
+
 /**
  * Perform build process in background
+ * The signal reaches the download, extraction and archiving; a cancelled or
+ * timed-out build leaves the previous latest.zip in place
+ * @param {Object} updateInfo - Update info from checkForUpdate
+ * @param {AbortSignal} signal - Aborted to cancel the build
+ * @returns {Promise<Object>} Build report from buildServer
  */
-async function performBuild(updateInfo) {
+async function performBuild(updateInfo, signal) {
   const modpackPath = path.join(__dirname, '../storage/modpack-temp.zip');
 
   try {
@@ -659,24 +1978,29 @@ async function performBuild(updateInfo) {
 
     // Step 2: Download modpack
     updateBuildStep(2, 'in-progress');
-    buildProgress = 'Downloading modpack from Yandex.Disk...';
+    setBuildProgress('Downloading modpack...');
     await downloadFile(updateInfo.filePath, modpackPath, {
       expectedMD5: updateInfo.md5,
-      expectedSize: updateInfo.size
+      expectedSHA256: updateInfo.sha256,
+      expectedSize: updateInfo.size,
+      signal: signal,
+      onProgress: (progress) => updateBuildStep(2, 'in-progress', formatDownloadProgress(progress))
     });
+    signal.throwIfAborted();
     updateBuildStep(2, 'completed');
 
     // Step 3: Verify integrity
     updateBuildStep(3, 'in-progress');
-    buildProgress = 'Verifying file integrity...';
+    setBuildProgress('Verifying file integrity...');
     // Verification happens inside downloadFile
     await new Promise(resolve => setTimeout(resolve, 500)); // Small delay for visual
+    signal.throwIfAborted();
     updateBuildStep(3, 'completed');
 
     // Step 4-8: Build server (multiple steps)
     updateBuildStep(4, 'in-progress');
-    buildProgress = 'Building server...';
-    await buildServer(modpackPath, updateInfo.latestVersion, (step) => {
+    setBuildProgress('Building server...');
+    const report = await buildServer(modpackPath, updateInfo.latestVersion, (step, detail) => {
       // Callback from builder to update steps 4-8
       if (step === 'template') {
         updateBuildStep(4, 'completed');
@@ -685,30 +2009,33 @@ async function performBuild(updateInfo) {
         updateBuildStep(5, 'completed');
         updateBuildStep(6, 'in-progress');
       } else if (step === 'mods') {
-        updateBuildStep(6, 'completed');
+        updateBuildStep(6, 'completed', detail);
         updateBuildStep(7, 'in-progress');
       } else if (step === 'scripts') {
         updateBuildStep(7, 'completed');
         updateBuildStep(8, 'in-progress');
-      } else if (step === 'archiving') {
-        updateBuildStep(8, 'completed');
       }
-    });
+    }, signal);
+    // Archive step stays in progress until latest.zip is replaced, so a timeout marks it failed
+    updateBuildStep(8, 'completed');
 
     // Step 9: Finalize
     updateBuildStep(9, 'in-progress');
-    buildProgress = 'Build completed!';
-    log(`Build completed successfully: ${updateInfo.latestVersion}`);
+    setBuildProgress('Build completed!');
+    log.info(`Build completed successfully: ${updateInfo.latestVersion}`);
     updateBuildStep(9, 'completed');
 
-  } catch (error) {
-    log(`Build error: ${error.message}`);
-    buildProgress = `Build failed: ${error.message}`;
+    return report;
+
+  } catch (buildError) {
+    // Report why the build was aborted rather than the resulting stream error
+    const error = signal.aborted ? signal.reason : buildError;
+    log.error(`Build error: ${error.message}`);
+    setBuildProgress(`Build failed: ${error.message}`);
     // Mark current in-progress step as failed
     const currentStep = buildSteps.find(s => s.status === 'in-progress');
     if (currentStep) {
-      currentStep.status = 'failed';
-      currentStep.detail = error.message;
+      updateBuildStep(currentStep.id, 'failed', error.message);
     }
     throw error;
   } finally {
@@ -716,65 +2043,166 @@ async function performBuild(updateInfo) {
     if (fs.existsSync(modpackPath)) {
       try {
         fs.unlinkSync(modpackPath);
-        log('Cleaned up temporary modpack file');
+        log.info('Cleaned up temporary modpack file');
       } catch (err) {
-        log(`Warning: Could not delete temp file: ${err.message}`);
+        log.warn(`Could not delete temp file: ${err.message}`);
       }
     }
 
     isBuildInProgress = false;
+    buildAbortController = null;
   }
 }
 
 /**
  * Serve existing server file
+ * @param {Object} res - Express response
+ * @param {Object} storedVersion - Optional stored version entry (defaults to latest.zip)
+ * @param {Object} options - Optional server customization options (served as cached variant)
  */
-function serveExistingServer(res) {
-  const latestZip = path.join(__dirname, '../storage/latest.zip');
-  const currentVersion = getCurrentVersion() || 'unknown';
-  const fileSize = getFileSizeMB(latestZip);
+async function serveExistingServer(res, storedVersion = null, options = null) {
+  const baseArchivePath = storedVersion
+    ? storedVersion.archivePath
+    : path.join(__dirname, '../storage/latest.zip');
+  const version = storedVersion ? storedVersion.version : (getCurrentVersion() || 'unknown');
+  const archivePath = options
+    ? await getVariantArchive(baseArchivePath, version, options)
+    : baseArchivePath;
+
+  // latest.zip is a copy of the stored current version, so its recorded checksum applies
+  const baseEntry = storedVersion || getVersion(version);
+  const knownSha256 = !options && baseEntry ? baseEntry.sha256 : null;
+
+  log.info(`Serving server: ${version} (${getFileSizeMB(archivePath)})`);
+  trackArchiveDownload(res, version, options ? 'custom' : 'server');
+  await sendArchive(res, archivePath, `IIS-Server-${version}${options ? '-custom' : ''}.zip`, knownSha256);
+}
 
-  // Get file size in bytes for Content-Length header
-  const stats = fs.statSync(latestZip);
+// SHA-256 of served archives without a recorded checksum (variants, update packages)
+const archiveChecksums = new Map();
 
-  res.setHeader('Content-Type', 'application/zip');
-  res.setHeader('Content-Disposition', `attachment; filename="IIS-Server-${currentVersion}.zip"`);
-  res.setHeader('Content-Length', stats.size);
+/**
+ * Get SHA-256 of an archive, hashing each file version only once
+ * @param {string} archivePath - Path to archive
+ * @param {Object} stats - fs.Stats of archive
+ * @returns {Promise<string>} Hex digest
+ */
+async function getArchiveChecksum(archivePath, stats) {
+  const cached = archiveChecksums.get(archivePath);
+  if (cached && cached.size === stats.size && cached.mtimeMs === stats.mtimeMs) {
+    return cached.sha256;
+  }
+
+  const sha256 = await calculateFileHash(archivePath, 'sha256');
+  archiveChecksums.set(archivePath, { size: stats.size, mtimeMs: stats.mtimeMs, sha256 });
+  return sha256;
+}
 
-  log(`Serving server: ${currentVersion} (${fileSize})`);
+/**
+ * Send archive file as attachment
+ * Supports HEAD, byte ranges (206) and conditional requests, so download managers
+ * and "curl -C -" can resume. The strong ETag is the archive SHA-256.
+ * @param {Object} res - Express response
+ * @param {string} archivePath - Path to archive
+ * @param {string} fileName - Download filename
+ * @param {string} sha256 - Known archive checksum (hashed on demand when missing)
+ * @returns {Promise<void>} Resolves when the response is finished
+ */
+async function sendArchive(res, archivePath, fileName, sha256 = null) {
+  const stats = fs.statSync(archivePath);
+  const checksum = sha256 || await getArchiveChecksum(archivePath, stats);
 
-  const fileStream = fs.createReadStream(latestZip);
-  fileStream.pipe(res);
+  // Plain ASCII filename plus RFC 5987 variant for non-ASCII versions (e.g., "ИИС v1.19.1")
+  const asciiFileName = fileName.replace(/[^\x20-\x7e]/g, '_').replace(/"/g, '');
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', `attachment; filename="${asciiFileName}"; filename*=UTF-8''${encodeURIComponent(fileName)}`);
+  res.setHeader('ETag', `"${checksum}"`);
+  res.setHeader('Cache-Control', 'no-cache');
+
+  // send handles Range/If-Range, If-None-Match/If-Modified-Since and HEAD using the headers above
+  await new Promise((resolve) => {
+    res.sendFile(path.resolve(archivePath), { etag: false, lastModified: true, cacheControl: false }, (error) => {
+      if (error && error.code !== 'ECONNABORTED' && error.code !== 'ECONNRESET') {
+        if (!res.headersSent) {
+          res.status(error.status || 500).end();
+        }
+        if (!error.status || error.status >= 500) {
+          log.error(`Error sending ${fileName}: ${error.message}`);
+        }
+      }
+      resolve();
+    });
+  });
 }
 
+/**
+ * GET /metrics - Prometheus metrics (text exposition format)
+ */
+app.get('/metrics', (req, res) => {
+  try {
+    const served = getServedVersion(getCurrentVersion());
+    const pin = getPinnedVersion();
+    servedVersionInfo.reset();
+    if (served) {
+      servedVersionInfo.set({ version: served.version, pinned: Boolean(pin && pin.version === served.version) }, 1);
+    }
+
+    res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(renderMetrics());
+  } catch (error) {
+    log.error(`Error in /metrics: ${error.message}`);
+    res.status(500).send(error.message);
+  }
+});
+
 /**
  * Health check endpoint
  */
 app.get('/health', (req, res) => {
-  res.status(200).json({ status: 'ok', version: getCurrentVersion() || 'none' });
+  const pin = getPinnedVersion();
+  const lastAdminAction = getLastAuditEntry();
+
+  res.status(200).json({
+    status: 'ok',
+    version: getCurrentVersion() || 'none',
+    pinnedVersion: pin ? pin.version : null,
+    sourceOffline: getSourceStatus().offline,
+    buildInProgress: isBuildInProgress,
+    lastAdminAction: lastAdminAction ? `${lastAdminAction.action} at ${lastAdminAction.at}` : null
+  });
 });
 
 // Cleanup function for orphaned temp files
 function cleanupOrphanedFiles() {
   const modpackPath = path.join(__dirname, '../storage/modpack-temp.zip');
 
+  // Storage is a Docker volume in production, but may be missing in local development
+  fs.mkdirSync(path.dirname(modpackPath), { recursive: true });
+
   // Remove incomplete modpack downloads
   if (fs.existsSync(modpackPath)) {
     try {
       fs.unlinkSync(modpackPath);
-      log('Cleaned up orphaned modpack file from previous run');
+      log.info('Cleaned up orphaned modpack file from previous run');
     } catch (err) {
-      log(`Warning: Could not delete orphaned file: ${err.message}`);
+      log.warn(`Could not delete orphaned file: ${err.message}`);
     }
   }
 }
 
 // Start server
 app.listen(PORT, () => {
-  log(`IIS Auto Server running on port ${PORT}`);
-  log(`Environment: ${process.env.NODE_ENV || 'development'}`);
-  log(`Current version: ${getCurrentVersion() || 'none'}`);
+  log.info(`IIS Auto Server running on port ${PORT}`);
+  log.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
+  log.info(`Current version: ${getCurrentVersion() || 'none'}`);
 
   // Clean up any orphaned files from interrupted builds
   cleanupOrphanedFiles();
+  markInterruptedBuilds();
+
+  // Pre-build new modpack versions in the background
+  startScheduler({
+    isBuildInProgress: () => isBuildInProgress,
+    startBuild: (updateInfo) => startBuild(updateInfo, 'scheduler')
+  });
 });
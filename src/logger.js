@@ -0,0 +1,141 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Level names in increasing severity
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// Minimum level written to the console and kept in the buffer (debug, info, warn, error)
+const LOG_LEVEL = LEVELS.includes(process.env.LOG_LEVEL) ? process.env.LOG_LEVEL : 'info';
+
+// Console output: "text" (human-readable lines) or "json" (one object per line)
+const LOG_FORMAT = process.env.LOG_FORMAT === 'json' ? 'json' : 'text';
+
+// Recent entries kept in memory for GET /logs
+const LOG_BUFFER_SIZE = parseInt(process.env.LOG_BUFFER_SIZE, 10) || 2000;
+
+// Request and build ids of the code currently running
+const logContext = new AsyncLocalStorage();
+
+// Ring buffer of recent entries, oldest first
+const buffer = [];
+let nextSeq = 1;
+
+// Extra log consumers (e.g., build history capturing build output, /logs tailing)
+const logListeners = new Set();
+
+/**
+ * Format entry as a console line
+ * @param {Object} entry - Log entry
+ * @returns {string} "[time] LEVEL component: message (build=..., request=...)"
+ */
+function formatEntry(entry) {
+  const ids = [
+    entry.buildId ? `build=${entry.buildId}` : null,
+    entry.requestId ? `request=${entry.requestId}` : null
+  ].filter(Boolean);
+  const suffix = ids.length > 0 ? ` (${ids.join(', ')})` : '';
+  return `[${entry.time}] ${entry.level.toUpperCase().padEnd(5)} ${entry.component}: ${entry.message}${suffix}`;
+}
+
+/**
+ * Write log entry to the console, the buffer and the listeners
+ * @param {string} level - Entry level
+ * @param {string} component - Component tag (e.g., "builder")
+ * @param {string} message - Message to log
+ * @param {Object} fields - Extra fields (e.g., requestId when logging outside the request context)
+ */
+function writeEntry(level, component, message, fields) {
+  if (LEVELS.indexOf(level) < LEVELS.indexOf(LOG_LEVEL)) {
+    return;
+  }
+
+  const entry = {
+    seq: nextSeq++,
+    time: new Date().toISOString(),
+    level: level,
+    component: component,
+    message: message,
+    ...logContext.getStore(),
+    ...fields
+  };
+  const line = formatEntry(entry);
+
+  console.log(LOG_FORMAT === 'json' ? JSON.stringify(entry) : line);
+
+  buffer.push(entry);
+  if (buffer.length > LOG_BUFFER_SIZE) {
+    buffer.shift();
+  }
+
+  for (const listener of logListeners) {
+    listener(entry, line);
+  }
+}
+
+/**
+ * Create logger for a component
+ * @param {string} component - Component tag (e.g., "driveClient", "builder", "http")
+ * @returns {{debug: Function, info: Function, warn: Function, error: Function}} Each takes (message, fields)
+ */
+function createLogger(component) {
+  const logger = {};
+  for (const level of LEVELS) {
+    logger[level] = (message, fields = {}) => writeEntry(level, component, message, fields);
+  }
+  return logger;
+}
+
+/**
+ * Run function with ids attached to every entry it logs, including async continuations
+ * Replaces the caller's ids rather than adding to them, so a build started
+ * from a request does not log under that request's id for its whole run.
+ * @param {Object} context - Ids to attach (requestId, buildId)
+ * @param {Function} fn - Function to run
+ * @returns {*} Result of fn
+ */
+function runWithLogContext(context, fn) {
+  return logContext.run({ ...context }, fn);
+}
+
+/**
+ * Receive every logged entry
+ * @param {Function} listener - Called with the entry and its formatted line
+ * @returns {Function} Call to unsubscribe
+ */
+function onLog(listener) {
+  logListeners.add(listener);
+  return () => logListeners.delete(listener);
+}
+
+/**
+ * Check entry against a /logs filter
+ * @param {Object} entry - Log entry
+ * @param {{level: string, component: string, buildId: string, requestId: string, after: number}} filter - Unset fields match everything
+ * @returns {boolean}
+ */
+function matchesFilter(entry, filter) {
+  return (!filter.level || LEVELS.indexOf(entry.level) >= LEVELS.indexOf(filter.level)) &&
+    (!filter.component || entry.component === filter.component) &&
+    (!filter.buildId || entry.buildId === filter.buildId) &&
+    (!filter.requestId || entry.requestId === filter.requestId) &&
+    (!filter.after || entry.seq > filter.after);
+}
+
+/**
+ * Get buffered entries, oldest first
+ * @param {Object} filter - See matchesFilter
+ * @param {number} limit - Newest entries to return
+ * @returns {Array<Object>}
+ */
+function getLogEntries(filter = {}, limit = LOG_BUFFER_SIZE) {
+  const entries = buffer.filter(entry => matchesFilter(entry, filter));
+  return limit > 0 ? entries.slice(-limit) : [];
+}
+
+module.exports = {
+  LEVELS,
+  createLogger,
+  runWithLogContext,
+  onLog,
+  matchesFilter,
+  getLogEntries
+};
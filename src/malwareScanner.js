@@ -0,0 +1,351 @@
+const fs = require('fs');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { calculateFileHash, toSafeFileName } = require('./utils');
+const { createLogger } = require('./logger');
+const { listModJars } = require('./modScanner');
+
+const log = createLogger('malwareScanner');
+
+// Blocklist of known-malicious jar hashes (editable without redeploying)
+const BLOCKLIST_FILE = path.join(__dirname, '../storage/jar-blocklist.json');
+
+// Flagged jars and scan reports of quarantined builds
+const QUARANTINE_DIR = path.join(__dirname, '../storage/quarantine');
+
+// Main classes, where loader stubs get injected: @Mod classes and coremod plugins
+const MOD_ANNOTATION = 'Lcpw/mods/fml/common/Mod;';
+const LOADING_PLUGIN_INTERFACE = 'cpw/mods/fml/relauncher/IFMLLoadingPlugin';
+
+// Signature rules: a main class matches when its constant pool has every "all" string and one of "any"
+const SIGNATURE_RULES = [
+  {
+    id: 'url-loader-stub',
+    description: 'Main class loads classes from a URL (jar-infecting loader stub, e.g. fractureiser)',
+    all: ['java/net/URLClassLoader', 'loadClass'],
+    any: ['newInstance', 'getMethod', 'invoke']
+  },
+  {
+    id: 'reflective-download-stub',
+    description: 'Main class downloads code and runs it through Class.forName',
+    all: ['java/net/URL', 'forName'],
+    any: ['openStream', 'openConnection']
+  }
+];
+
+const SHA256_PATTERN = /^[0-9a-f]{64}$/;
+
+/**
+ * Validate blocklist document
+ * @param {Object} doc - Parsed blocklist
+ * @returns {{valid: boolean, errors: Array<string>}}
+ */
+function validateBlocklist(doc) {
+  const errors = [];
+
+  if (!doc || typeof doc !== 'object' || !Array.isArray(doc.hashes)) {
+    return { valid: false, errors: ['Blocklist must be an object with a "hashes" array'] };
+  }
+
+  doc.hashes.forEach((entry, index) => {
+    const prefix = `hashes[${index}]`;
+
+    if (!entry || typeof entry !== 'object') {
+      errors.push(`${prefix}: must be an object`);
+      return;
+    }
+    if (typeof entry.sha256 !== 'string' || !SHA256_PATTERN.test(entry.sha256)) {
+      errors.push(`${prefix}: "sha256" must be 64 lowercase hex characters`);
+    }
+    if (entry.name !== undefined && typeof entry.name !== 'string') {
+      errors.push(`${prefix}: "name" must be a string`);
+    }
+  });
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Load blocklist from storage
+ * @returns {{hashes: Array<{sha256: string, name: string}>}} Blocklist (empty when file is missing)
+ */
+function loadBlocklist() {
+  if (!fs.existsSync(BLOCKLIST_FILE)) {
+    return { hashes: [] };
+  }
+
+  let doc;
+  try {
+    doc = JSON.parse(fs.readFileSync(BLOCKLIST_FILE, 'utf8'));
+  } catch (error) {
+    throw new Error(`Jar blocklist file is not valid JSON: ${error.message}`);
+  }
+
+  const result = validateBlocklist(doc);
+  if (!result.valid) {
+    throw new Error(`Jar blocklist file is invalid: ${result.errors.join('; ')}`);
+  }
+
+  return doc;
+}
+
+/**
+ * Save validated blocklist to storage
+ * @param {Object} doc - Blocklist document
+ */
+function saveBlocklist(doc) {
+  const result = validateBlocklist(doc);
+  if (!result.valid) {
+    throw new Error(`Jar blocklist is invalid: ${result.errors.join('; ')}`);
+  }
+
+  fs.mkdirSync(path.dirname(BLOCKLIST_FILE), { recursive: true });
+  fs.writeFileSync(BLOCKLIST_FILE, JSON.stringify(doc, null, 2), 'utf8');
+  log.info(`Saved jar blocklist with ${doc.hashes.length} hashes`);
+}
+
+/**
+ * Read the parts of a class file the signature rules need
+ * @param {Buffer} data - Class file contents
+ * @returns {{constants: Set<string>, interfaces: Array<string>, annotations: Array<string>}|null} null when not a class file
+ */
+function readClassInfo(data) {
+  let offset = 0;
+  const u1 = () => data.readUInt8((offset += 1) - 1);
+  const u2 = () => data.readUInt16BE((offset += 2) - 2);
+  const u4 = () => data.readUInt32BE((offset += 4) - 4);
+
+  try {
+    if (u4() !== 0xcafebabe) {
+      return null;
+    }
+    offset += 4;
+
+    // Constant pool; sizes per tag from the JVM specification (Long/Double take two slots)
+    const sizes = { 3: 4, 4: 4, 5: 8, 6: 8, 7: 2, 8: 2, 9: 4, 10: 4, 11: 4, 12: 4, 15: 3, 16: 2, 17: 4, 18: 4, 19: 2, 20: 2 };
+    const pool = [];
+    const count = u2();
+    for (let i = 1; i < count; i++) {
+      const tag = u1();
+      if (tag === 1) {
+        const length = u2();
+        pool[i] = data.toString('utf8', offset, offset + length);
+        offset += length;
+      } else if (tag === 7) {
+        pool[i] = { classIndex: u2() };
+      } else if (sizes[tag]) {
+        offset += sizes[tag];
+        if (tag === 5 || tag === 6) i++;
+      } else {
+        return null;
+      }
+    }
+
+    const className = (index) => (pool[index] && typeof pool[pool[index].classIndex] === 'string' ? pool[pool[index].classIndex] : null);
+    const skipAttributes = () => {
+      for (let n = u2(); n > 0; n--) {
+        offset += 2;
+        const length = u4();
+        offset += length;
+      }
+    };
+
+    offset += 6;
+    const interfaces = [];
+    for (let n = u2(); n > 0; n--) {
+      interfaces.push(className(u2()));
+    }
+    for (let members = 0; members < 2; members++) {
+      for (let n = u2(); n > 0; n--) {
+        offset += 6;
+        skipAttributes();
+      }
+    }
+
+    // Class-level runtime annotations (@Mod is retained at runtime)
+    const annotations = [];
+    const skipElementValue = () => {
+      const tag = String.fromCharCode(u1());
+      if (tag === 'e') {
+        offset += 4;
+      } else if (tag === '@') {
+        skipAnnotation();
+      } else if (tag === '[') {
+        for (let n = u2(); n > 0; n--) skipElementValue();
+      } else {
+        offset += 2;
+      }
+    };
+    const skipAnnotation = () => {
+      const type = pool[u2()];
+      for (let n = u2(); n > 0; n--) {
+        offset += 2;
+        skipElementValue();
+      }
+      return type;
+    };
+    for (let n = u2(); n > 0; n--) {
+      const name = pool[u2()];
+      const length = u4();
+      const end = offset + length;
+      if (name === 'RuntimeVisibleAnnotations') {
+        for (let count = u2(); count > 0; count--) {
+          annotations.push(skipAnnotation());
+        }
+      }
+      offset = end;
+    }
+
+    return {
+      constants: new Set(pool.filter(entry => typeof entry === 'string')),
+      interfaces,
+      annotations
+    };
+  } catch (error) {
+    // Truncated class file
+    return null;
+  }
+}
+
+/**
+ * Match class file against signature rules
+ * Only main classes are checked; loaders and libraries use URLClassLoader legitimately.
+ * @param {Buffer} data - Class file contents
+ * @returns {Array<Object>} Matching rules
+ */
+function matchSignatures(data) {
+  const info = readClassInfo(data);
+  if (!info || !(info.annotations.includes(MOD_ANNOTATION) || info.interfaces.includes(LOADING_PLUGIN_INTERFACE))) {
+    return [];
+  }
+
+  return SIGNATURE_RULES.filter(rule =>
+    rule.all.every(text => info.constants.has(text)) && rule.any.some(text => info.constants.has(text))
+  );
+}
+
+/**
+ * Scan one jar against blocklist hashes and class signatures
+ * @param {string} jarPath - Jar path
+ * @param {string} file - Path relative to the server root, for the report
+ * @param {Map<string, Object>} blockedHashes - Blocklist entries keyed by SHA-256
+ * @returns {Promise<Array<{file: string, sha256: string, type: string, rule: string, className: string|null, description: string}>>} Hits
+ */
+async function scanJar(jarPath, file, blockedHashes) {
+  const sha256 = await calculateFileHash(jarPath, 'sha256');
+  const hits = [];
+
+  const blocked = blockedHashes.get(sha256);
+  if (blocked) {
+    hits.push({
+      file: file,
+      sha256: sha256,
+      type: 'hash',
+      rule: 'blocklist',
+      className: null,
+      description: `Known malicious jar${blocked.name ? `: ${blocked.name}` : ''}`
+    });
+  }
+
+  let entries;
+  try {
+    entries = new AdmZip(jarPath).getEntries();
+  } catch (error) {
+    // Unreadable jars are reported by server validation
+    return hits;
+  }
+
+  for (const entry of entries) {
+    if (entry.isDirectory || !entry.entryName.endsWith('.class')) continue;
+
+    for (const rule of matchSignatures(entry.getData())) {
+      hits.push({
+        file: file,
+        sha256: sha256,
+        type: 'signature',
+        rule: rule.id,
+        className: entry.entryName,
+        description: rule.description
+      });
+    }
+  }
+
+  return hits;
+}
+
+/**
+ * Scan jars going into the server: mods/ and the server root
+ * @param {string} serverDir - Server directory
+ * @param {AbortSignal} signal - Aborts the scan
+ * @returns {Promise<{scanned: number, blocklistSize: number, hits: Array<Object>, quarantineDir: string|null}>}
+ */
+async function scanServerJars(serverDir, signal) {
+  const blocklist = loadBlocklist();
+  const blockedHashes = new Map(blocklist.hashes.map(entry => [entry.sha256, entry]));
+  const rootJars = fs.readdirSync(serverDir, { withFileTypes: true })
+    .filter(entry => entry.isFile() && /\.jar$/i.test(entry.name))
+    .map(entry => path.join(serverDir, entry.name));
+  const jars = [...rootJars, ...listModJars(path.join(serverDir, 'mods'))];
+  const hits = [];
+
+  log.info(`  Scanning ${jars.length} jars (${blockedHashes.size} blocklisted hashes, ${SIGNATURE_RULES.length} signature rules)`);
+
+  for (const jarPath of jars) {
+    signal.throwIfAborted();
+    const file = path.relative(serverDir, jarPath).split(path.sep).join('/');
+    hits.push(...await scanJar(jarPath, file, blockedHashes));
+  }
+
+  for (const hit of hits) {
+    log.warn(`  MALWARE: ${hit.file} - ${hit.description}${hit.className ? ` (${hit.className})` : ''}`);
+  }
+
+  return { scanned: jars.length, blocklistSize: blockedHashes.size, hits, quarantineDir: null };
+}
+
+/**
+ * Move flagged jars out of the build into quarantine, with the scan report
+ * @param {string} serverDir - Server directory
+ * @param {string} version - Version being built
+ * @param {Object} scan - Result of scanServerJars, quarantineDir is set in place
+ * @returns {string} Quarantine directory
+ */
+function quarantineJars(serverDir, version, scan) {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+  const quarantineDir = path.join(QUARANTINE_DIR, `${toSafeFileName(version)}-${stamp}`);
+
+  for (const file of new Set(scan.hits.map(hit => hit.file))) {
+    const destPath = path.join(quarantineDir, ...file.split('/'));
+    fs.mkdirSync(path.dirname(destPath), { recursive: true });
+    fs.renameSync(path.join(serverDir, ...file.split('/')), destPath);
+  }
+
+  scan.quarantineDir = path.relative(path.join(__dirname, '..'), quarantineDir).split(path.sep).join('/');
+  fs.writeFileSync(path.join(quarantineDir, 'report.json'), JSON.stringify({ version, ...scan }, null, 2), 'utf8');
+  log.warn(`Quarantined ${scan.hits.length} findings in ${scan.quarantineDir}`);
+
+  return quarantineDir;
+}
+
+/**
+ * Create build error for a quarantined build
+ * @param {Object} scan - Result of scanServerJars
+ * @returns {Error} Error with quarantined flag and the scan attached
+ */
+function createQuarantineError(scan) {
+  const files = [...new Set(scan.hits.map(hit => hit.file))];
+  const error = new Error(`Build quarantined: malicious code found in ${files.join(', ')}`);
+  error.quarantined = true;
+  error.malwareScan = scan;
+  return error;
+}
+
+module.exports = {
+  BLOCKLIST_FILE,
+  validateBlocklist,
+  loadBlocklist,
+  saveBlocklist,
+  scanServerJars,
+  quarantineJars,
+  createQuarantineError
+};
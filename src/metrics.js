@@ -0,0 +1,223 @@
+/**
+ * Prometheus metrics in text exposition format (served at /metrics)
+ */
+
+// Registered metrics in output order
+const registry = [];
+
+// Buckets for build and build step durations (seconds)
+const BUILD_DURATION_BUCKETS = [1, 5, 15, 30, 60, 120, 300, 600, 1200, 1800, 3600];
+
+// Buckets for upstream API latency (seconds)
+const API_LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+/**
+ * Escape label value for the exposition format
+ * @param {*} value - Label value
+ * @returns {string}
+ */
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Format label set as {a="1",b="2"}
+ * @param {Object} labels - Label values
+ * @returns {string} Empty string without labels
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Get series key and normalized labels (only declared label names, in declared order)
+ * @param {Array<string>} labelNames - Declared label names
+ * @param {Object} labels - Label values
+ * @returns {{key: string, labels: Object}}
+ */
+function getSeries(labelNames, labels = {}) {
+  const normalized = {};
+  for (const name of labelNames) {
+    normalized[name] = labels[name] === undefined ? '' : String(labels[name]);
+  }
+  return { key: JSON.stringify(normalized), labels: normalized };
+}
+
+/**
+ * Create counter
+ * @param {string} name - Metric name (e.g., "iis_builds_total")
+ * @param {string} help - Description
+ * @param {Array<string>} labelNames - Label names
+ * @returns {{inc: Function}}
+ */
+function createCounter(name, help, labelNames = []) {
+  const series = new Map();
+
+  registry.push(() => [
+    `# HELP ${name} ${help}`,
+    `# TYPE ${name} counter`,
+    ...[...series.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`)
+  ]);
+
+  return {
+    /**
+     * Increase counter
+     * @param {Object} labels - Label values
+     * @param {number} value - Amount (default 1)
+     */
+    inc(labels = {}, value = 1) {
+      const { key, labels: normalized } = getSeries(labelNames, labels);
+      const entry = series.get(key) || { labels: normalized, value: 0 };
+      entry.value += value;
+      series.set(key, entry);
+    }
+  };
+}
+
+/**
+ * Create gauge
+ * @param {string} name - Metric name
+ * @param {string} help - Description
+ * @param {Array<string>} labelNames - Label names
+ * @returns {{set: Function, reset: Function}}
+ */
+function createGauge(name, help, labelNames = []) {
+  const series = new Map();
+
+  registry.push(() => [
+    `# HELP ${name} ${help}`,
+    `# TYPE ${name} gauge`,
+    ...[...series.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`)
+  ]);
+
+  return {
+    /**
+     * Set gauge value
+     * @param {Object} labels - Label values
+     * @param {number} value - New value
+     */
+    set(labels, value) {
+      const { key, labels: normalized } = getSeries(labelNames, labels);
+      series.set(key, { labels: normalized, value });
+    },
+
+    /**
+     * Remove all series (e.g., before setting the current info labels)
+     */
+    reset() {
+      series.clear();
+    }
+  };
+}
+
+/**
+ * Create histogram
+ * @param {string} name - Metric name (e.g., "iis_build_duration_seconds")
+ * @param {string} help - Description
+ * @param {Array<string>} labelNames - Label names
+ * @param {Array<number>} buckets - Upper bounds, ascending (+Inf is added)
+ * @returns {{observe: Function}}
+ */
+function createHistogram(name, help, labelNames, buckets) {
+  const series = new Map();
+
+  registry.push(() => {
+    const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+    for (const { labels, counts, sum, count } of series.values()) {
+      buckets.forEach((bound, index) => {
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`);
+      });
+      lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines;
+  });
+
+  return {
+    /**
+     * Record observation
+     * @param {Object} labels - Label values
+     * @param {number} value - Observed value
+     */
+    observe(labels, value) {
+      const { key, labels: normalized } = getSeries(labelNames, labels);
+      const entry = series.get(key) || { labels: normalized, counts: buckets.map(() => 0), sum: 0, count: 0 };
+      buckets.forEach((bound, index) => {
+        if (value <= bound) entry.counts[index]++;
+      });
+      entry.sum += value;
+      entry.count++;
+      series.set(key, entry);
+    }
+  };
+}
+
+/**
+ * Render all metrics
+ * @returns {string} Prometheus text format
+ */
+function renderMetrics() {
+  return `${registry.flatMap(collect => collect()).join('\n')}\n`;
+}
+
+const buildsTotal = createCounter(
+  'iis_builds_total', 'Finished builds by result', ['result']
+);
+const buildDuration = createHistogram(
+  'iis_build_duration_seconds', 'Duration of finished builds', ['result'], BUILD_DURATION_BUCKETS
+);
+const buildStepDuration = createHistogram(
+  'iis_build_step_duration_seconds', 'Duration of finished build steps', ['step', 'name', 'status'], BUILD_DURATION_BUCKETS
+);
+const upstreamRequestDuration = createHistogram(
+  'iis_upstream_request_duration_seconds', 'Modpack source API request latency', ['source', 'endpoint'], API_LATENCY_BUCKETS
+);
+const upstreamRequestErrors = createCounter(
+  'iis_upstream_request_errors_total', 'Failed modpack source API requests', ['source', 'endpoint']
+);
+const sourceDownloadedBytes = createCounter(
+  'iis_source_downloaded_bytes_total', 'Bytes downloaded from the modpack source', ['source']
+);
+const archiveDownloads = createCounter(
+  'iis_archive_downloads_total', 'Archive GET requests served (full or ranged)', ['version', 'type']
+);
+const archiveSentBytes = createCounter(
+  'iis_archive_sent_bytes_total', 'Bytes sent for archive downloads', ['version', 'type']
+);
+const servedVersionInfo = createGauge(
+  'iis_served_version_info', 'Server version served by /download', ['version', 'pinned']
+);
+
+/**
+ * Count archive download once its response is closed (finished or aborted)
+ * HEAD requests and 304/error responses are not counted.
+ * @param {Object} res - Express response
+ * @param {string} version - Archive version
+ * @param {string} type - "server", "custom" or "update"
+ */
+function trackArchiveDownload(res, version, type) {
+  const socket = res.socket;
+  const bytesBefore = socket ? socket.bytesWritten : 0;
+
+  res.once('close', () => {
+    if (res.req.method !== 'GET' || res.statusCode >= 300) return;
+    archiveDownloads.inc({ version, type });
+    if (socket) {
+      archiveSentBytes.inc({ version, type }, socket.bytesWritten - bytesBefore);
+    }
+  });
+}
+
+module.exports = {
+  renderMetrics,
+  buildsTotal,
+  buildDuration,
+  buildStepDuration,
+  upstreamRequestDuration,
+  upstreamRequestErrors,
+  sourceDownloadedBytes,
+  servedVersionInfo,
+  trackArchiveDownload
+};
@@ -0,0 +1,202 @@
+const fs = require('fs');
+const path = require('path');
+const { parseVersion, compareVersions } = require('./utils');
+const { createLogger } = require('./logger');
+
+const log = createLogger('modRules');
+
+// Rules file in storage (editable without redeploying)
+const RULES_FILE = path.join(__dirname, '../storage/mod-rules.json');
+
+const RULE_ACTIONS = ['include', 'exclude'];
+const RULE_MATCHERS = ['glob', 'regex', 'modid'];
+
+/**
+ * Convert filename glob (* and ?) to RegExp
+ * @param {string} glob - Glob pattern (e.g., "OptiFine_*.jar")
+ * @returns {RegExp}
+ */
+function globToRegExp(glob) {
+  const source = glob
+    .split('')
+    .map(char => {
+      if (char === '*') return '.*';
+      if (char === '?') return '.';
+      return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Validate rules document
+ * @param {Object} doc - Parsed rules document
+ * @returns {{valid: boolean, errors: Array<string>}}
+ */
+function validateRules(doc) {
+  const errors = [];
+
+  if (!doc || typeof doc !== 'object' || !Array.isArray(doc.rules)) {
+    return { valid: false, errors: ['Rules document must be an object with a "rules" array'] };
+  }
+
+  doc.rules.forEach((rule, index) => {
+    const prefix = `rules[${index}]`;
+
+    if (!rule || typeof rule !== 'object') {
+      errors.push(`${prefix}: must be an object`);
+      return;
+    }
+
+    if (!RULE_ACTIONS.includes(rule.action)) {
+      errors.push(`${prefix}: "action" must be one of ${RULE_ACTIONS.join(', ')}`);
+    }
+
+    const matchers = RULE_MATCHERS.filter(key => rule[key] !== undefined);
+    if (matchers.length === 0) {
+      errors.push(`${prefix}: needs at least one of ${RULE_MATCHERS.join(', ')}`);
+    }
+
+    for (const key of matchers) {
+      if (typeof rule[key] !== 'string' || rule[key] === '') {
+        errors.push(`${prefix}: "${key}" must be a non-empty string`);
+      }
+    }
+
+    if (typeof rule.regex === 'string') {
+      try {
+        new RegExp(rule.regex, 'i');
+      } catch (error) {
+        errors.push(`${prefix}: invalid regex: ${error.message}`);
+      }
+    }
+
+    if (rule.versions !== undefined) {
+      const range = rule.versions;
+      if (!range || typeof range !== 'object' || (range.from === undefined && range.to === undefined)) {
+        errors.push(`${prefix}: "versions" must be an object with "from" and/or "to"`);
+      } else {
+        for (const key of ['from', 'to']) {
+          if (range[key] !== undefined && (typeof range[key] !== 'string' || !parseVersion(range[key]))) {
+            errors.push(`${prefix}: "versions.${key}" must be a version string (e.g., "v1.19")`);
+          }
+        }
+      }
+    }
+  });
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Load rules from storage
+ * @returns {{rules: Array<Object>}} Rules document (empty when file is missing)
+ */
+function loadRules() {
+  if (!fs.existsSync(RULES_FILE)) {
+    return { rules: [] };
+  }
+
+  let doc;
+  try {
+    doc = JSON.parse(fs.readFileSync(RULES_FILE, 'utf8'));
+  } catch (error) {
+    throw new Error(`Mod rules file is not valid JSON: ${error.message}`);
+  }
+
+  const result = validateRules(doc);
+  if (!result.valid) {
+    throw new Error(`Mod rules file is invalid: ${result.errors.join('; ')}`);
+  }
+
+  return doc;
+}
+
+/**
+ * Save validated rules to storage
+ * @param {Object} doc - Rules document
+ */
+function saveRules(doc) {
+  const result = validateRules(doc);
+  if (!result.valid) {
+    throw new Error(`Mod rules are invalid: ${result.errors.join('; ')}`);
+  }
+
+  fs.mkdirSync(path.dirname(RULES_FILE), { recursive: true });
+  fs.writeFileSync(RULES_FILE, JSON.stringify(doc, null, 2), 'utf8');
+  log.info(`Saved ${doc.rules.length} mod rules`);
+}
+
+/**
+ * Check whether rule applies to modpack version
+ * @param {Object} rule - Rule
+ * @param {string} version - Modpack version
+ * @returns {boolean}
+ */
+function ruleAppliesToVersion(rule, version) {
+  if (!rule.versions) {
+    return true;
+  }
+  if (rule.versions.from && compareVersions(version, rule.versions.from) < 0) {
+    return false;
+  }
+  if (rule.versions.to && compareVersions(version, rule.versions.to) > 0) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Check whether rule matches a mod jar (all given matchers must match)
+ * @param {Object} rule - Rule
+ * @param {Object} metadata - Mod metadata from modScanner
+ * @returns {boolean}
+ */
+function ruleMatchesMod(rule, metadata) {
+  if (rule.glob && !globToRegExp(rule.glob).test(metadata.file)) {
+    return false;
+  }
+  if (rule.regex && !new RegExp(rule.regex, 'i').test(metadata.file)) {
+    return false;
+  }
+  if (rule.modid && !metadata.mods.some(mod => mod.modid.toLowerCase() === rule.modid.toLowerCase())) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Decide whether to remove a mod jar
+ * The first matching rule wins; without a match the built-in classification is used
+ * @param {Object} metadata - Mod metadata from modScanner
+ * @param {{clientOnly: boolean, reason: string}} classification - Built-in classification
+ * @param {Array<Object>} rules - Rules list
+ * @param {string} version - Modpack version
+ * @returns {{remove: boolean, source: string, reason: string}}
+ */
+function decideMod(metadata, classification, rules, version) {
+  for (let i = 0; i < rules.length; i++) {
+    const rule = rules[i];
+    if (ruleAppliesToVersion(rule, version) && ruleMatchesMod(rule, metadata)) {
+      return {
+        remove: rule.action === 'exclude',
+        source: `rule #${i + 1}`,
+        reason: rule.reason || `${rule.action} rule`
+      };
+    }
+  }
+
+  return {
+    remove: classification.clientOnly,
+    source: 'built-in',
+    reason: classification.reason
+  };
+}
+
+module.exports = {
+  RULES_FILE,
+  validateRules,
+  loadRules,
+  saveRules,
+  decideMod
+};
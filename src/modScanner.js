@@ -0,0 +1,237 @@
+const fs = require('fs');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { createLogger } = require('./logger');
+
+const log = createLogger('modScanner');
+
+// Client-only mods keyed by modid (lowercase), with the reason they are removed
+const CLIENT_SIDE_MOD_IDS = {
+  optifine: 'Client rendering optimizations and shaders',
+  resourceloader: 'Loads client resource packs',
+  custommainmenu: 'Replaces the client main menu',
+  mapwriter: 'Client minimap',
+  betterfoliage: 'Client foliage rendering',
+  dynamiclights: 'Client light rendering',
+  mousetweaks: 'Client inventory mouse controls',
+  armorstatushud: 'Client HUD overlay',
+  directionhud: 'Client HUD overlay',
+  statuseffecthud: 'Client HUD overlay'
+};
+
+// Class packages that only exist in client-only mods (jars without mcmod.info, e.g. OptiFine)
+const CLIENT_SIDE_PACKAGES = [
+  { prefix: 'optifine/', reason: 'Contains OptiFine classes' },
+  { prefix: 'net/optifine/', reason: 'Contains OptiFine classes' },
+  { prefix: 'shadersmod/', reason: 'Contains shaders mod classes' }
+];
+
+// Metadata of the last scanned modpack, used for rule dry-runs
+const MODPACK_SCAN_FILE = path.join(__dirname, '../storage/modpack-mods.json');
+
+// Forge 1.7.10 loads mods from mods/ and mods/<mcversion>/
+const MOD_SUBDIRECTORIES = ['', '1.7.10'];
+
+/**
+ * Parse mcmod.info contents
+ * Many mods ship slightly broken JSON (raw newlines, trailing commas), so parsing is lenient
+ * @param {string} text - mcmod.info contents
+ * @returns {Array<Object>} Mod entries
+ */
+function parseMcmodInfo(text) {
+  const candidates = [
+    text,
+    text.replace(/[\r\n\t]+/g, ' ').replace(/,\s*([\]}])/g, '$1')
+  ];
+
+  for (const candidate of candidates) {
+    try {
+      const parsed = JSON.parse(candidate.replace(/^\uFEFF/, ''));
+      // modListVersion 2 wraps the list in an object
+      const modList = Array.isArray(parsed) ? parsed : parsed.modList;
+      if (Array.isArray(modList)) {
+        return modList.filter(mod => mod && typeof mod === 'object');
+      }
+    } catch (error) {
+      // Try next candidate
+    }
+  }
+
+  // Last resort: pull modid/version out with regexes
+  const modid = text.match(/"modid"\s*:\s*"([^"]*)"/i);
+  if (!modid) {
+    return [];
+  }
+  const name = text.match(/"name"\s*:\s*"([^"]*)"/i);
+  const version = text.match(/"version"\s*:\s*"([^"]*)"/i);
+  return [{
+    modid: modid[1],
+    name: name ? name[1] : modid[1],
+    version: version ? version[1] : ''
+  }];
+}
+
+/**
+ * Read mod metadata from a jar
+ * @param {string} jarPath - Path to mod jar
+ * @returns {{file: string, size: number, hasMcmodInfo: boolean, mods: Array<Object>, packages: Array<string>}}
+ */
+function readModMetadata(jarPath) {
+  const zip = new AdmZip(jarPath);
+  const entries = zip.getEntries();
+
+  const infoEntry = entries.find(entry => entry.entryName.toLowerCase() === 'mcmod.info');
+  const mods = infoEntry ? parseMcmodInfo(infoEntry.getData().toString('utf8')) : [];
+
+  // Top two package levels of all classes, used by package heuristics
+  const packages = new Set();
+  for (const entry of entries) {
+    if (!entry.isDirectory && entry.entryName.endsWith('.class')) {
+      const parts = entry.entryName.split('/');
+      if (parts.length > 1) {
+        packages.add(`${parts.slice(0, Math.min(parts.length - 1, 2)).join('/')}/`);
+      }
+    }
+  }
+
+  return {
+    file: path.basename(jarPath),
+    size: fs.statSync(jarPath).size,
+    hasMcmodInfo: Boolean(infoEntry),
+    mods: mods.map(mod => ({
+      modid: String(mod.modid || ''),
+      name: String(mod.name || mod.modid || ''),
+      version: String(mod.version || ''),
+      dependencies: Array.isArray(mod.dependencies) ? mod.dependencies.map(String) : []
+    })),
+    packages: Array.from(packages)
+  };
+}
+
+/**
+ * Decide whether a mod jar is client-only
+ * @param {Object} metadata - Result of readModMetadata
+ * @returns {{clientOnly: boolean, reason: string}}
+ */
+function classifyMod(metadata) {
+  for (const mod of metadata.mods) {
+    const reason = CLIENT_SIDE_MOD_IDS[mod.modid.toLowerCase()];
+    if (reason) {
+      return { clientOnly: true, reason: `modid "${mod.modid}": ${reason}` };
+    }
+  }
+
+  for (const rule of CLIENT_SIDE_PACKAGES) {
+    if (metadata.packages.some(pkg => pkg.startsWith(rule.prefix))) {
+      return { clientOnly: true, reason: `package ${rule.prefix}: ${rule.reason}` };
+    }
+  }
+
+  return { clientOnly: false, reason: '' };
+}
+
+/**
+ * List mod jars in a server mods directory
+ * @param {string} modsDir - mods/ directory
+ * @returns {Array<string>} Jar paths
+ */
+function listModJars(modsDir) {
+  const jars = [];
+
+  for (const subdir of MOD_SUBDIRECTORIES) {
+    const dir = path.join(modsDir, subdir);
+    if (!fs.existsSync(dir)) {
+      continue;
+    }
+
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      if (entry.isFile() && /\.(jar|zip)$/i.test(entry.name)) {
+        jars.push(path.join(dir, entry.name));
+      }
+    }
+  }
+
+  return jars;
+}
+
+/**
+ * Scan mods directory and classify every jar
+ * @param {string} modsDir - mods/ directory
+ * @returns {Array<{path: string, metadata: Object, clientOnly: boolean, reason: string}>}
+ */
+function scanMods(modsDir) {
+  return listModJars(modsDir).map(jarPath => {
+    let metadata;
+    try {
+      metadata = readModMetadata(jarPath);
+    } catch (error) {
+      log.warn(`  Could not read ${path.basename(jarPath)}: ${error.message}`);
+      metadata = {
+        file: path.basename(jarPath),
+        size: fs.statSync(jarPath).size,
+        hasMcmodInfo: false,
+        mods: [],
+        packages: []
+      };
+    }
+
+    return { path: jarPath, metadata, ...classifyMod(metadata) };
+  });
+}
+
+/**
+ * Inventory mod jars of a built server
+ * @param {string} modsDir - mods/ directory
+ * @returns {Array<{file: string, size: number, modid: string, name: string, version: string, mods: Array<Object>}>}
+ *   One entry per jar (file relative to mods/); modid, name and version come from the first mcmod.info entry
+ */
+function createModInventory(modsDir) {
+  return scanMods(modsDir)
+    .map(({ path: jarPath, metadata }) => {
+      const info = metadata.mods[0];
+      return {
+        file: path.relative(modsDir, jarPath).split(path.sep).join('/'),
+        size: metadata.size,
+        modid: info ? info.modid : '',
+        name: info ? info.name : '',
+        version: info ? info.version : '',
+        mods: metadata.mods.map(({ modid, name, version }) => ({ modid, name, version }))
+      };
+    })
+    .sort((a, b) => a.file.localeCompare(b.file));
+}
+
+/**
+ * Save modpack scan so rules can be dry-run without the modpack
+ * @param {string} version - Modpack version
+ * @param {Array<Object>} scan - Result of scanMods
+ */
+function saveModpackScan(version, scan) {
+  const data = {
+    version: version,
+    scannedAt: new Date().toISOString(),
+    jars: scan.map(mod => mod.metadata)
+  };
+  fs.writeFileSync(MODPACK_SCAN_FILE, JSON.stringify(data, null, 2), 'utf8');
+}
+
+/**
+ * Load last saved modpack scan
+ * @returns {{version: string, scannedAt: string, jars: Array<Object>}|null}
+ */
+function loadModpackScan() {
+  if (!fs.existsSync(MODPACK_SCAN_FILE)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(MODPACK_SCAN_FILE, 'utf8'));
+}
+
+module.exports = {
+  readModMetadata,
+  classifyMod,
+  listModJars,
+  scanMods,
+  createModInventory,
+  saveModpackScan,
+  loadModpackScan
+};
@@ -0,0 +1,206 @@
+const fs = require('fs');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { createLogger } = require('./logger');
+const { FORGE_JAR } = require('./serverVariants');
+const { readModMetadata, listModJars } = require('./modScanner');
+
+const log = createLogger('serverValidator');
+
+// Dependencies provided by Forge itself, never shipped as mods
+const BUILT_IN_MOD_IDS = ['minecraft', 'mcp', 'fml', 'forge'];
+
+// Class-Path entries the Forge installer or first launch downloads (vanilla server jar, Scala runtime);
+// a missing one is only a warning since the template does not ship them
+const DOWNLOADED_LIBRARIES = [/^minecraft_server\.[\d.]+\.jar$/, /^libraries\/org\/scala-lang\//];
+
+/**
+ * Read Class-Path of the Forge jar manifest (libraries and the vanilla server jar)
+ * @param {AdmZip} zip - Opened Forge jar
+ * @returns {Array<string>} Paths relative to the server root
+ */
+function getManifestClassPath(zip) {
+  const entry = zip.getEntry('META-INF/MANIFEST.MF');
+  if (!entry) {
+    return [];
+  }
+
+  // Manifest lines are wrapped at 72 bytes, continuation lines start with a space
+  const text = entry.getData().toString('utf8').replace(/\r?\n /g, '');
+  const match = text.match(/^Class-Path:(.*)$/m);
+  return match ? match[1].trim().split(/\s+/).filter(Boolean) : [];
+}
+
+/**
+ * Decompress every entry of a jar (adm-zip checks the CRC of each one)
+ * @param {string} jarPath - Jar path
+ * @returns {AdmZip} Opened jar
+ */
+function checkJar(jarPath) {
+  const zip = new AdmZip(jarPath);
+  for (const entry of zip.getEntries()) {
+    if (!entry.isDirectory) {
+      entry.getData();
+    }
+  }
+  return zip;
+}
+
+/**
+ * Get mod id a dependency string refers to
+ * Handles "CoFHCore", "required-after:CoFHCore@[1.7.10R3.0.0,)" and similar
+ * @param {string} dependency - Entry of mcmod.info dependencies
+ * @returns {string} Lowercase modid
+ */
+function getDependencyModId(dependency) {
+  return dependency
+    .replace(/^(required-)?(after|before|client|server)?:/i, '')
+    .replace(/@.*$/, '')
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * Check the Forge jar and the libraries it loads
+ * @param {string} serverDir - Server directory
+ * @param {{errors: Array<Object>, warnings: Array<Object>}} result - Updated in place
+ */
+function checkForge(serverDir, result) {
+  const forgePath = path.join(serverDir, FORGE_JAR);
+  if (!fs.existsSync(forgePath)) {
+    result.errors.push({ check: 'forge', file: FORGE_JAR, message: `Forge jar ${FORGE_JAR} is missing` });
+    return;
+  }
+
+  let classPath;
+  try {
+    classPath = getManifestClassPath(checkJar(forgePath));
+  } catch (error) {
+    result.errors.push({ check: 'forge', file: FORGE_JAR, message: `Forge jar is corrupt: ${error.message || error}` });
+    return;
+  }
+
+  for (const library of classPath) {
+    if (fs.existsSync(path.join(serverDir, ...library.split('/')))) continue;
+
+    if (DOWNLOADED_LIBRARIES.some(pattern => pattern.test(library))) {
+      result.warnings.push({
+        check: 'libraries',
+        file: library,
+        message: `Library ${library} is missing (downloaded by Forge before the first start)`
+      });
+    } else {
+      result.errors.push({ check: 'libraries', file: library, message: `Library ${library} is missing` });
+    }
+  }
+}
+
+/**
+ * Check every mod jar and the relations between them
+ * @param {string} serverDir - Server directory
+ * @param {{errors: Array<Object>, warnings: Array<Object>}} result - Updated in place
+ * @param {AbortSignal} signal - Aborts validation
+ * @returns {Promise<void>}
+ */
+async function checkMods(serverDir, result, signal) {
+  const modsDir = path.join(serverDir, 'mods');
+  const jarsByModId = new Map();
+  const mods = [];
+
+  for (const jarPath of listModJars(modsDir)) {
+    signal.throwIfAborted();
+    const file = path.relative(modsDir, jarPath).split(path.sep).join('/');
+
+    try {
+      checkJar(jarPath);
+      const metadata = readModMetadata(jarPath);
+      for (const mod of metadata.mods) {
+        if (!mod.modid) continue;
+        const key = mod.modid.toLowerCase();
+        if (!jarsByModId.has(key)) jarsByModId.set(key, []);
+        jarsByModId.get(key).push({ file, version: mod.version });
+        mods.push({ file, ...mod });
+      }
+    } catch (error) {
+      result.errors.push({ check: 'jars', file, message: `${file} is not a readable jar: ${error.message || error}` });
+    }
+
+    // Reading every jar takes a while on large packs
+    await new Promise(resolve => setImmediate(resolve));
+  }
+
+  for (const [modid, jars] of jarsByModId) {
+    const files = [...new Set(jars.map(jar => jar.file))];
+    if (files.length < 2) continue;
+
+    const versions = [...new Set(jars.map(jar => jar.version))];
+    const list = jars.map(jar => `${jar.file} (${jar.version || '?'})`).join(', ');
+    result.errors.push(versions.length > 1
+      ? { check: 'duplicates', file: files.join(', '), message: `Several versions of ${modid}: ${list}` }
+      : { check: 'duplicates', file: files.join(', '), message: `Modid ${modid} is declared by several jars: ${list}` });
+  }
+
+  for (const mod of mods) {
+    for (const dependency of mod.dependencies) {
+      const modid = getDependencyModId(dependency);
+      if (modid && !BUILT_IN_MOD_IDS.includes(modid) && !jarsByModId.has(modid)) {
+        result.warnings.push({
+          check: 'dependencies',
+          file: mod.file,
+          message: `${mod.modid} depends on ${dependency}, which is not in the pack`
+        });
+      }
+    }
+  }
+}
+
+/**
+ * Check that a built server can start before it is published
+ * Errors (missing Forge jar or libraries, corrupt jars, duplicate mods) block the build;
+ * warnings (libraries Forge downloads itself, missing dependencies declared in mcmod.info) are only reported.
+ * @param {string} serverDir - Server directory (after mod removal)
+ * @param {AbortSignal} signal - Aborts validation
+ * @returns {Promise<{errors: Array<{check: string, file: string, message: string}>, warnings: Array<Object>}>}
+ */
+async function validateServer(serverDir, signal) {
+  const result = { errors: [], warnings: [] };
+
+  checkForge(serverDir, result);
+  await checkMods(serverDir, result, signal);
+
+  for (const issue of result.errors) {
+    log.error(`  ${issue.message}`);
+  }
+  for (const issue of result.warnings) {
+    log.warn(`  ${issue.message}`);
+  }
+
+  return result;
+}
+
+/**
+ * Summarize issues for a step detail or error message
+ * @param {Array<{message: string}>} issues - Validation errors or warnings
+ * @returns {string} First messages, e.g. "A; B; C (+2 more)"
+ */
+function summarizeIssues(issues) {
+  const shown = issues.slice(0, 3).map(issue => issue.message).join('; ');
+  return issues.length > 3 ? `${shown} (+${issues.length - 3} more)` : shown;
+}
+
+/**
+ * Create build error for failed validation
+ * @param {{errors: Array<Object>, warnings: Array<Object>}} validation - Result of validateServer
+ * @returns {Error} Error with the validation result attached
+ */
+function createValidationError(validation) {
+  const error = new Error(`Server validation failed: ${summarizeIssues(validation.errors)}`);
+  error.validation = validation;
+  return error;
+}
+
+module.exports = {
+  validateServer,
+  summarizeIssues,
+  createValidationError
+};
@@ -0,0 +1,399 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { toSafeFileName, pruneOldFiles } = require('./utils');
+const { createLogger } = require('./logger');
+const { SHA256SUMS_FILE, updateSha256Sums } = require('./checksums');
+const { openZip, readZipEntry, createZipWriter } = require('./zipStream');
+
+const log = createLogger('serverVariants');
+
+// Cached customized server archives
+const VARIANTS_DIR = path.join(__dirname, '../storage/variants');
+
+// How many customized archives to keep (least recently used are removed)
+const MAX_CACHED_VARIANTS = parseInt(process.env.MAX_CACHED_VARIANTS, 10) || 20;
+
+// Variants being generated, keyed by archive path
+const pendingVariants = new Map();
+
+// Root folder inside server archives
+const ARCHIVE_ROOT = 'minecraft-server';
+
+const FORGE_JAR = 'forge-1.7.10-10.13.4.1614-1.7.10-universal.jar';
+
+// Defaults used by the base build
+const DEFAULT_JVM_OPTIONS = {
+  xmx: '24G',
+  xms: '4G',
+  jvm: 'default'
+};
+
+// JVM flag presets (Java 8, which Forge 1.7.10 requires)
+const JVM_PRESETS = {
+  default: [],
+  g1: [
+    '-XX:+UseG1GC',
+    '-XX:+ParallelRefProcEnabled',
+    '-XX:MaxGCPauseMillis=200',
+    '-XX:+UnlockExperimentalVMOptions',
+    '-XX:+DisableExplicitGC',
+    '-XX:+AlwaysPreTouch',
+    '-XX:G1NewSizePercent=30',
+    '-XX:G1MaxNewSizePercent=40',
+    '-XX:G1HeapRegionSize=8M',
+    '-XX:G1ReservePercent=20',
+    '-XX:G1HeapWastePercent=5',
+    '-XX:G1MixedGCCountTarget=4',
+    '-XX:InitiatingHeapOccupancyPercent=15',
+    '-XX:G1MixedGCLiveThresholdPercent=90',
+    '-XX:SurvivorRatio=32',
+    '-XX:+PerfDisableSharedMem',
+    '-XX:MaxTenuringThreshold=1'
+  ],
+  cms: [
+    '-XX:+UseConcMarkSweepGC',
+    '-XX:+UseParNewGC',
+    '-XX:+CMSParallelRemarkEnabled',
+    '-XX:+CMSClassUnloadingEnabled',
+    '-XX:+DisableExplicitGC',
+    '-XX:+UseCompressedOops'
+  ]
+};
+
+const DIFFICULTIES = { peaceful: 0, easy: 1, normal: 2, hard: 3 };
+
+/**
+ * Parse heap size (e.g., "8G", "2048M") to megabytes
+ * @param {string} value - Heap size
+ * @returns {number|null} Size in MB or null if invalid
+ */
+function parseHeapSize(value) {
+  const match = String(value).trim().match(/^(\d+)\s*([MG])$/i);
+  if (!match) {
+    return null;
+  }
+  const amount = parseInt(match[1], 10);
+  return match[2].toUpperCase() === 'G' ? amount * 1024 : amount;
+}
+
+/**
+ * Parse boolean query value
+ * @param {string} value - "true"/"false"/"1"/"0"/"on"/"off"
+ * @returns {boolean|null}
+ */
+function parseBoolean(value) {
+  const normalized = String(value).toLowerCase();
+  if (['true', '1', 'on', 'yes'].includes(normalized)) return true;
+  if (['false', '0', 'off', 'no'].includes(normalized)) return false;
+  return null;
+}
+
+/**
+ * Parse server customization options from download query
+ * Empty values are ignored so a submitted form with blank fields means "default"
+ * @param {Object} query - Express req.query
+ * @returns {{options: Object|null, errors: Array<string>}} options is null when nothing is customized
+ */
+function parseServerOptions(query) {
+  const options = {};
+  const errors = [];
+  const get = (key) => {
+    const value = query[key];
+    return typeof value === 'string' && value.trim() !== '' ? value.trim() : null;
+  };
+
+  for (const key of ['xmx', 'xms']) {
+    const value = get(key);
+    if (value === null) continue;
+
+    const sizeMB = parseHeapSize(value);
+    if (sizeMB === null || sizeMB < 512 || sizeMB > 128 * 1024) {
+      errors.push(`${key} must be a heap size between 512M and 128G (e.g., "8G")`);
+    } else {
+      options[key] = value.toUpperCase().replace(/\s+/g, '');
+    }
+  }
+
+  const xmxMB = parseHeapSize(options.xmx || DEFAULT_JVM_OPTIONS.xmx);
+  const xmsMB = parseHeapSize(options.xms || DEFAULT_JVM_OPTIONS.xms);
+  if (errors.length === 0 && xmsMB > xmxMB) {
+    errors.push('xms must not be larger than xmx');
+  }
+
+  const jvm = get('jvm');
+  if (jvm !== null) {
+    if (!JVM_PRESETS[jvm]) {
+      errors.push(`jvm must be one of ${Object.keys(JVM_PRESETS).join(', ')}`);
+    } else {
+      options.jvm = jvm;
+    }
+  }
+
+  const port = get('port');
+  if (port !== null) {
+    const value = parseInt(port, 10);
+    if (!/^\d+$/.test(port) || value < 1024 || value > 65535) {
+      errors.push('port must be a number between 1024 and 65535');
+    } else {
+      options.port = value;
+    }
+  }
+
+  const maxPlayers = get('maxPlayers');
+  if (maxPlayers !== null) {
+    const value = parseInt(maxPlayers, 10);
+    if (!/^\d+$/.test(maxPlayers) || value < 1 || value > 1000) {
+      errors.push('maxPlayers must be a number between 1 and 1000');
+    } else {
+      options.maxPlayers = value;
+    }
+  }
+
+  const motd = get('motd');
+  if (motd !== null) {
+    if (motd.length > 100 || /[\x00-\x1f]/.test(motd)) {
+      errors.push('motd must be a single line of at most 100 characters');
+    } else {
+      options.motd = motd;
+    }
+  }
+
+  const onlineMode = get('onlineMode');
+  if (onlineMode !== null) {
+    const value = parseBoolean(onlineMode);
+    if (value === null) {
+      errors.push('onlineMode must be true or false');
+    } else {
+      options.onlineMode = value;
+    }
+  }
+
+  const difficulty = get('difficulty');
+  if (difficulty !== null) {
+    const value = /^[0-3]$/.test(difficulty)
+      ? parseInt(difficulty, 10)
+      : DIFFICULTIES[difficulty.toLowerCase()];
+    if (value === undefined) {
+      errors.push('difficulty must be 0-3 or peaceful, easy, normal, hard');
+    } else {
+      options.difficulty = value;
+    }
+  }
+
+  return {
+    options: Object.keys(options).length > 0 ? options : null,
+    errors
+  };
+}
+
+/**
+ * Generate start.sh and start.bat contents
+ * @param {Object} options - JVM options (xmx, xms, jvm preset)
+ * @returns {{sh: string, bat: string}}
+ */
+function getStartScripts(options = {}) {
+  const jvm = { ...DEFAULT_JVM_OPTIONS, ...options };
+  const args = [`-Xmx${jvm.xmx}`, `-Xms${jvm.xms}`, ...JVM_PRESETS[jvm.jvm]].join(' ');
+
+  return {
+    // start.sh for Linux/Mac
+    sh: `#!/bin/bash
+java ${args} -jar ${FORGE_JAR} nogui
+`,
+    // start.bat for Windows
+    bat: `@echo off
+java ${args} -jar ${FORGE_JAR} nogui
+pause
+`
+  };
+}
+
+/**
+ * Escape value for Java .properties format
+ * @param {string} value - Raw value
+ * @returns {string}
+ */
+function escapePropertyValue(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/[^\x20-\x7e]/g, char => `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`);
+}
+
+/**
+ * Set keys in server.properties text, keeping order and comments
+ * @param {string} text - server.properties contents
+ * @param {Object} values - Keys to set
+ * @returns {string} Updated contents
+ */
+function applyServerProperties(text, values) {
+  const remaining = { ...values };
+  const lines = text.split(/\r?\n/).map(line => {
+    const match = line.match(/^([^#!=:\s][^=:]*?)\s*[=:]/);
+    if (match && Object.prototype.hasOwnProperty.call(remaining, match[1])) {
+      const key = match[1];
+      const value = remaining[key];
+      delete remaining[key];
+      return `${key}=${escapePropertyValue(value)}`;
+    }
+    return line;
+  });
+
+  // Keys missing from the template go before the trailing newline
+  const trailing = lines.length > 0 && lines[lines.length - 1] === '' ? lines.pop() : null;
+  for (const [key, value] of Object.entries(remaining)) {
+    lines.push(`${key}=${escapePropertyValue(value)}`);
+  }
+  if (trailing !== null) lines.push(trailing);
+
+  return lines.join('\n');
+}
+
+/**
+ * Map download options to server.properties keys
+ * @param {Object} options - Parsed server options
+ * @returns {Object} server.properties values
+ */
+function getPropertyValues(options) {
+  const values = {};
+  if (options.port !== undefined) values['server-port'] = options.port;
+  if (options.maxPlayers !== undefined) values['max-players'] = options.maxPlayers;
+  if (options.motd !== undefined) values.motd = options.motd;
+  if (options.onlineMode !== undefined) values['online-mode'] = options.onlineMode;
+  if (options.difficulty !== undefined) values.difficulty = options.difficulty;
+  return values;
+}
+
+/**
+ * Get cache key for a variant of a base archive
+ * @param {string} baseArchivePath - Base server archive
+ * @param {Object} options - Parsed server options
+ * @returns {string} Short hash
+ */
+function getVariantKey(baseArchivePath, options) {
+  const stats = fs.statSync(baseArchivePath);
+  const sortedOptions = Object.keys(options).sort().map(key => [key, options[key]]);
+
+  return crypto.createHash('sha256')
+    .update(JSON.stringify({ base: `${stats.size}-${stats.mtimeMs}`, options: sortedOptions }))
+    .digest('hex')
+    .slice(0, 16);
+}
+
+/**
+ * Write customized copy of a base archive
+ * Entries are streamed from the base archive; only the start scripts,
+ * server.properties and SHA256SUMS are replaced.
+ * @param {string} baseArchivePath - Base server archive
+ * @param {string} outputPath - Destination path
+ * @param {Object} options - Parsed server options
+ * @returns {Promise<void>}
+ */
+async function writeVariantArchive(baseArchivePath, outputPath, options) {
+  const { zipFile, entries } = await openZip(baseArchivePath);
+  const findEntry = (name) => entries.find(entry => entry.fileName === `${ARCHIVE_ROOT}/${name}`);
+  const writer = createZipWriter(outputPath);
+
+  try {
+    const scripts = getStartScripts(options);
+    const changed = {
+      'start.sh': Buffer.from(scripts.sh, 'utf8'),
+      'start.bat': Buffer.from(scripts.bat, 'utf8')
+    };
+    const modes = { 'start.sh': 0o755 };
+
+    const propertyValues = getPropertyValues(options);
+    if (Object.keys(propertyValues).length > 0) {
+      const propertiesEntry = findEntry('server.properties');
+      const text = propertiesEntry ? (await readZipEntry(zipFile, propertiesEntry)).toString('utf8') : '';
+      changed['server.properties'] = Buffer.from(applyServerProperties(text, propertyValues), 'utf8');
+    }
+
+    // Keep the bundled checksums valid for the customized files
+    const replaced = { ...changed };
+    const sumsEntry = findEntry(SHA256SUMS_FILE);
+    if (sumsEntry) {
+      const sums = updateSha256Sums((await readZipEntry(zipFile, sumsEntry)).toString('utf8'), changed);
+      replaced[SHA256SUMS_FILE] = Buffer.from(sums, 'utf8');
+    }
+
+    for (const entry of entries) {
+      const name = entry.fileName.slice(ARCHIVE_ROOT.length + 1);
+      if (!entry.fileName.startsWith(`${ARCHIVE_ROOT}/`) || !replaced[name]) {
+        await writer.copy(zipFile, entry, entry.fileName);
+      }
+    }
+    for (const [name, data] of Object.entries(replaced)) {
+      await writer.append(data, { name: `${ARCHIVE_ROOT}/${name}`, mode: modes[name] || 0o644 });
+    }
+
+    await writer.finish();
+  } catch (error) {
+    await writer.abort();
+    throw error;
+  } finally {
+    zipFile.close();
+  }
+}
+
+/**
+ * Get customized server archive, creating it from the base build if not cached
+ * Concurrent requests for the same variant share one generation.
+ * @param {string} baseArchivePath - Base server archive (latest.zip or stored version)
+ * @param {string} version - Version of base archive
+ * @param {Object} options - Parsed server options
+ * @returns {Promise<string>} Path to variant archive
+ */
+async function getVariantArchive(baseArchivePath, version, options) {
+  fs.mkdirSync(VARIANTS_DIR, { recursive: true });
+
+  const key = getVariantKey(baseArchivePath, options);
+  const variantPath = path.join(VARIANTS_DIR, `${toSafeFileName(version)}-${key}.zip`);
+
+  if (fs.existsSync(variantPath)) {
+    // Mark as recently used
+    const now = new Date();
+    fs.utimesSync(variantPath, now, now);
+    return variantPath;
+  }
+
+  if (pendingVariants.has(variantPath)) {
+    return pendingVariants.get(variantPath);
+  }
+
+  log.info(`Creating server variant ${key} for ${version}: ${JSON.stringify(options)}`);
+
+  // Write to temp file first so a half-written variant is never served
+  const tempPath = `${variantPath}.tmp`;
+  const pending = writeVariantArchive(baseArchivePath, tempPath, options)
+    .then(() => {
+      fs.renameSync(tempPath, variantPath);
+      pruneOldFiles(VARIANTS_DIR, MAX_CACHED_VARIANTS);
+      return variantPath;
+    }, (error) => {
+      fs.rmSync(tempPath, { force: true });
+      throw error;
+    })
+    .finally(() => pendingVariants.delete(variantPath));
+
+  pendingVariants.set(variantPath, pending);
+  return pending;
+}
+
+/**
+ * Delete all cached server variants
+ * @returns {{files: number, bytes: number}} Removed files and their total size
+ */
+function purgeVariants() {
+  return pruneOldFiles(VARIANTS_DIR, 0);
+}
+
+module.exports = {
+  FORGE_JAR,
+  JVM_PRESETS,
+  parseServerOptions,
+  getStartScripts,
+  applyServerProperties,
+  getVariantArchive,
+  purgeVariants
+};
@@ -0,0 +1,202 @@
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const { pipeline } = require('stream/promises');
+const { createLogger } = require('../logger');
+
+const log = createLogger('sources/http');
+
+// Maximum redirects followed per request
+const MAX_REDIRECTS = 5;
+
+/**
+ * Get http or https module for URL
+ * @param {string} url - Request URL
+ * @returns {Object}
+ */
+function getClient(url) {
+  return url.startsWith('https:') ? https : http;
+}
+
+/**
+ * Open GET/HEAD request and follow redirects
+ * @param {string} url - Request URL
+ * @param {string} method - HTTP method
+ * @param {Object} options - Request options
+ * @param {AbortSignal} options.signal - Aborts the request
+ * @param {number} options.stallTimeoutMs - Fail if the server sends no response for this long
+ * @param {Object} options.headers - Extra request headers (sent to every URL in the redirect chain)
+ * @param {number} redirectsLeft - Remaining redirects
+ * @returns {Promise<http.IncomingMessage>} Response of final URL (body not consumed)
+ */
+function openRequest(url, method = 'GET', options = {}, redirectsLeft = MAX_REDIRECTS) {
+  return new Promise((resolve, reject) => {
+    const requestOptions = { method, signal: options.signal, headers: options.headers || {} };
+    const req = getClient(url).request(url, requestOptions, (res) => {
+      // Body stalls are detected by the caller
+      req.setTimeout(0);
+
+      if ([301, 302, 303, 307, 308].includes(res.statusCode) && res.headers.location) {
+        res.resume();
+        if (redirectsLeft <= 0) {
+          reject(new Error(`Too many redirects for ${url}`));
+          return;
+        }
+        const nextUrl = new URL(res.headers.location, url).toString();
+        openRequest(nextUrl, method, options, redirectsLeft - 1).then(resolve, reject);
+        return;
+      }
+      resolve(res);
+    });
+
+    if (options.stallTimeoutMs) {
+      req.setTimeout(options.stallTimeoutMs, () => {
+        req.destroy(new Error(`No response from ${new URL(url).host} for ${options.stallTimeoutMs / 1000} s`));
+      });
+    }
+
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+/**
+ * Fetch URL as text
+ * @param {string} url - Request URL
+ * @param {string} method - HTTP method
+ * @param {Object} options - Request options (signal, stallTimeoutMs)
+ * @returns {Promise<{statusCode: number, headers: Object, body: string}>}
+ */
+async function requestText(url, method = 'GET', options = {}) {
+  const res = await openRequest(url, method, options);
+
+  return new Promise((resolve, reject) => {
+    let body = '';
+    res.setEncoding('utf8');
+    res.on('data', (chunk) => {
+      body += chunk;
+    });
+    res.on('end', () => resolve({ statusCode: res.statusCode, headers: res.headers, body }));
+    res.on('error', reject);
+  });
+}
+
+/**
+ * Create error for unexpected HTTP status
+ * 4xx responses (except timeouts and rate limits) are not worth retrying.
+ * @param {number} statusCode - Response status
+ * @returns {Error}
+ */
+function createHttpError(statusCode) {
+  const error = new Error(`Download failed with HTTP ${statusCode}`);
+  error.statusCode = statusCode;
+  error.retryable = statusCode >= 500 || statusCode === 408 || statusCode === 429;
+  return error;
+}
+
+/**
+ * Stream URL to file, optionally resuming a partial file with a Range request
+ * Falls back to a full download when the server ignores the range.
+ * @param {string} url - Download URL
+ * @param {string} destPath - Destination file path
+ * @param {Object} options - Download options
+ * @param {AbortSignal} options.signal - Aborts the download
+ * @param {number} options.stallTimeoutMs - Fail when no data arrives for this long
+ * @param {number} options.resumeFrom - Bytes already in destPath to keep (0 starts over)
+ * @param {Function} options.onProgress - Called with (bytesInFile, totalBytes|null) on every chunk
+ * @param {Function} options.onData - Called with the byte count of every received chunk
+ * @returns {Promise<number>} Size of destPath after download
+ */
+async function downloadToFile(url, destPath, options = {}) {
+  const resumeFrom = options.resumeFrom || 0;
+  const headers = resumeFrom > 0 ? { Range: `bytes=${resumeFrom}-` } : {};
+
+  log.info(resumeFrom > 0
+    ? `Initiating connection (resuming at ${(resumeFrom / (1024 * 1024)).toFixed(2)} MB)...`
+    : 'Initiating connection...');
+  const res = await openRequest(url, 'GET', { ...options, headers });
+  log.info('Connection established, waiting for data stream...');
+
+  let startOffset = 0;
+  let totalBytes = null;
+
+  if (resumeFrom > 0 && res.statusCode === 416) {
+    // Partial file is already complete (or the remote file shrank)
+    res.resume();
+    const match = String(res.headers['content-range'] || '').match(/^bytes \*\/(\d+)$/);
+    if (match && parseInt(match[1], 10) === resumeFrom) {
+      log.info('Partial file is already complete');
+      return resumeFrom;
+    }
+    log.info('Server rejected resume range, restarting download');
+    return downloadToFile(url, destPath, { ...options, resumeFrom: 0 });
+  }
+
+  if (resumeFrom > 0 && res.statusCode === 206) {
+    const match = String(res.headers['content-range'] || '').match(/^bytes (\d+)-\d+\/(\d+|\*)$/);
+    if (!match || parseInt(match[1], 10) !== resumeFrom) {
+      res.resume();
+      throw new Error(`Unexpected Content-Range in resumed download: ${res.headers['content-range']}`);
+    }
+    startOffset = resumeFrom;
+    totalBytes = match[2] === '*' ? null : parseInt(match[2], 10);
+  } else if (res.statusCode === 200) {
+    if (resumeFrom > 0) {
+      log.info('Server does not support resume, restarting download');
+    }
+    if (res.headers['content-length']) {
+      totalBytes = parseInt(res.headers['content-length'], 10);
+    }
+  } else {
+    res.resume();
+    throw createHttpError(res.statusCode);
+  }
+
+  let downloadedBytes = 0;
+  let stallTimer = null;
+
+  const resetStallTimer = () => {
+    if (!options.stallTimeoutMs) return;
+    clearTimeout(stallTimer);
+    stallTimer = setTimeout(() => {
+      res.destroy(new Error(`Download stalled: no data received for ${options.stallTimeoutMs / 1000} s`));
+    }, options.stallTimeoutMs);
+  };
+
+  res.on('data', (chunk) => {
+    if (downloadedBytes === 0) {
+      log.info('Data stream started, downloading...');
+    }
+    resetStallTimer();
+    downloadedBytes += chunk.length;
+    // Log progress every 10MB
+    if (downloadedBytes % (10 * 1024 * 1024) < chunk.length) {
+      log.info(`Downloaded: ${((startOffset + downloadedBytes) / (1024 * 1024)).toFixed(2)} MB`);
+    }
+    if (options.onData) {
+      options.onData(chunk.length);
+    }
+    if (options.onProgress) {
+      options.onProgress(startOffset + downloadedBytes, totalBytes);
+    }
+  });
+  resetStallTimer();
+
+  try {
+    const output = fs.createWriteStream(destPath, { flags: startOffset > 0 ? 'a' : 'w' });
+    await pipeline(res, output, { signal: options.signal });
+  } catch (error) {
+    log.error(`Download error: ${error.message}`);
+    throw error;
+  } finally {
+    clearTimeout(stallTimer);
+  }
+
+  log.info(`Download completed: ${((startOffset + downloadedBytes) / (1024 * 1024)).toFixed(2)} MB`);
+  return startOffset + downloadedBytes;
+}
+
+module.exports = {
+  requestText,
+  downloadToFile
+};
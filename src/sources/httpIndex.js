@@ -0,0 +1,116 @@
+const { requestText, downloadToFile } = require('./http');
+
+/**
+ * Create modpack source for an HTTP directory listing or JSON index
+ *
+ * JSON index format (array or {"files": [...]}):
+ *   [{ "name": "IIS v1.19.1.zip", "url": "files/IIS%20v1.19.1.zip", "size": 123, "md5": "...", "sha256": "...", "modified": "2025-10-17T10:00:00Z" }]
+ * "url" is optional and resolved relative to the index URL (defaults to the name).
+ * Any other response is treated as an HTML directory listing (nginx/Apache autoindex).
+ *
+ * @param {Object} config - Source config
+ * @param {string} config.indexUrl - Index or directory URL
+ * @returns {Object} Modpack source
+ */
+function createHttpIndexSource({ indexUrl }) {
+  /**
+   * Parse JSON index entries
+   * @param {Array<Object>} files - Index entries
+   * @returns {Array<Object>} Releases
+   */
+  function parseJsonIndex(files) {
+    return files
+      .filter(file => file && typeof file.name === 'string' && file.name.toLowerCase().endsWith('.zip'))
+      .map(file => ({
+        path: new URL(file.url || encodeURIComponent(file.name), indexUrl).toString(),
+        name: file.name,
+        size: file.size,
+        md5: file.md5,
+        sha256: file.sha256,
+        modified: file.modified || null
+      }));
+  }
+
+  /**
+   * Parse links to ZIP files from HTML directory listing
+   * @param {string} html - Listing HTML
+   * @returns {Array<Object>} Releases
+   */
+  function parseDirectoryListing(html) {
+    const releases = new Map();
+
+    for (const match of html.matchAll(/href\s*=\s*["']([^"']+\.zip)["']/gi)) {
+      const url = new URL(match[1], indexUrl).toString();
+      const name = decodeURIComponent(url.split('/').pop());
+      releases.set(url, { path: url, name: name, modified: null });
+    }
+
+    return Array.from(releases.values());
+  }
+
+  /**
+   * List ZIP files from index
+   * @returns {Promise<Array<Object>>}
+   */
+  async function listReleases() {
+    const response = await requestText(indexUrl);
+
+    if (response.statusCode !== 200) {
+      throw new Error(`Modpack index request failed with HTTP ${response.statusCode}`);
+    }
+
+    let index = null;
+    try {
+      index = JSON.parse(response.body);
+    } catch (error) {
+      // Not JSON, parse as directory listing
+    }
+
+    if (index) {
+      const files = Array.isArray(index) ? index : index.files;
+      if (!Array.isArray(files)) {
+        throw new Error('Modpack JSON index must be an array or have a "files" array');
+      }
+      return parseJsonIndex(files);
+    }
+
+    return parseDirectoryListing(response.body);
+  }
+
+  /**
+   * Get size and hashes of a release (HEAD request when the index has none)
+   * @param {Object} release - Release from listReleases
+   * @returns {Promise<{size: number, md5: string, sha256: string}>}
+   */
+  async function getMetadata(release) {
+    if (release.size !== undefined) {
+      return { size: release.size, md5: release.md5, sha256: release.sha256 };
+    }
+
+    const response = await requestText(release.path, 'HEAD');
+    const size = parseInt(response.headers['content-length'], 10);
+    return { size: isNaN(size) ? undefined : size, md5: undefined, sha256: undefined };
+  }
+
+  /**
+   * Download release to file
+   * @param {Object} release - Release from listReleases
+   * @param {string} destPath - Destination file path
+   * @param {Object} options - Download options (signal, stallTimeoutMs, resumeFrom, onProgress)
+   * @returns {Promise<number>} Size of destPath after download
+   */
+  function download(release, destPath, options = {}) {
+    return downloadToFile(release.path, destPath, options);
+  }
+
+  return {
+    name: 'HTTP index',
+    listReleases,
+    getMetadata,
+    download
+  };
+}
+
+module.exports = {
+  createHttpIndexSource
+};
@@ -0,0 +1,42 @@
+const path = require('path');
+const { createYandexDiskSource } = require('./yandexDisk');
+const { createLocalDirectorySource } = require('./localDirectory');
+const { createHttpIndexSource } = require('./httpIndex');
+
+/**
+ * Create modpack source from environment
+ *
+ * MODPACK_SOURCE=yandex (default) - YANDEX_DISK_URL public folder
+ * MODPACK_SOURCE=local            - MODPACK_LOCAL_DIR directory (default: storage/modpacks)
+ * MODPACK_SOURCE=http             - MODPACK_INDEX_URL directory listing or JSON index
+ *
+ * @returns {Object} Modpack source with listReleases, getMetadata and download
+ */
+function createSourceFromEnv() {
+  const type = (process.env.MODPACK_SOURCE || 'yandex').toLowerCase();
+
+  switch (type) {
+    case 'yandex':
+      return createYandexDiskSource({
+        publicUrl: process.env.YANDEX_DISK_URL || 'https://disk.yandex.ru/d/m0vmhfXyyBE7G'
+      });
+
+    case 'local':
+      return createLocalDirectorySource({
+        dir: process.env.MODPACK_LOCAL_DIR || path.join(__dirname, '../../storage/modpacks')
+      });
+
+    case 'http':
+      if (!process.env.MODPACK_INDEX_URL) {
+        throw new Error('MODPACK_INDEX_URL is required when MODPACK_SOURCE=http');
+      }
+      return createHttpIndexSource({ indexUrl: process.env.MODPACK_INDEX_URL });
+
+    default:
+      throw new Error(`Unknown MODPACK_SOURCE "${type}" (expected yandex, local or http)`);
+  }
+}
+
+module.exports = {
+  createSourceFromEnv
+};
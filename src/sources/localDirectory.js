@@ -0,0 +1,103 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { calculateFileHash } = require('../utils');
+const { createLogger } = require('../logger');
+
+const log = createLogger('sources/localDirectory');
+
+/**
+ * Create modpack source for a local directory (mirror or offline development)
+ * @param {Object} config - Source config
+ * @param {string} config.dir - Directory with modpack ZIP files
+ * @returns {Object} Modpack source
+ */
+function createLocalDirectorySource({ dir }) {
+  // Hashes keyed by "path:size:mtime" so unchanged files are hashed once
+  const hashCache = new Map();
+
+  /**
+   * List ZIP files in the directory
+   * @returns {Promise<Array<{path: string, name: string, size: number, modified: string}>>}
+   */
+  async function listReleases() {
+    if (!fs.existsSync(dir)) {
+      throw new Error(`Modpack directory not found: ${dir}`);
+    }
+
+    const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    const releases = [];
+
+    for (const entry of entries) {
+      if (!entry.isFile() || !entry.name.toLowerCase().endsWith('.zip')) continue;
+
+      const stats = await fs.promises.stat(path.join(dir, entry.name));
+      releases.push({
+        path: entry.name,
+        name: entry.name,
+        size: stats.size,
+        modified: stats.mtime.toISOString()
+      });
+    }
+
+    return releases;
+  }
+
+  /**
+   * Get size and hashes of a release
+   * @param {Object} release - Release from listReleases
+   * @returns {Promise<{size: number, md5: string, sha256: string}>}
+   */
+  async function getMetadata(release) {
+    const filePath = path.join(dir, release.path);
+    const stats = await fs.promises.stat(filePath);
+    const cacheKey = `${release.path}:${stats.size}:${stats.mtimeMs}`;
+
+    if (!hashCache.has(cacheKey)) {
+      hashCache.set(cacheKey, {
+        size: stats.size,
+        md5: await calculateFileHash(filePath, 'md5'),
+        sha256: await calculateFileHash(filePath, 'sha256')
+      });
+    }
+
+    return hashCache.get(cacheKey);
+  }
+
+  /**
+   * Copy release to file
+   * @param {Object} release - Release from listReleases
+   * @param {string} destPath - Destination file path
+   * @param {Object} options - Download options (signal, resumeFrom, onProgress)
+   * @returns {Promise<number>} Size of destPath after copy
+   */
+  async function download(release, destPath, options = {}) {
+    const filePath = path.join(dir, release.path);
+    const totalBytes = (await fs.promises.stat(filePath)).size;
+    const start = options.resumeFrom && options.resumeFrom <= totalBytes ? options.resumeFrom : 0;
+    log.info(`Copying ${filePath}...`);
+
+    const input = fs.createReadStream(filePath, { start });
+    let copiedBytes = start;
+    input.on('data', (chunk) => {
+      copiedBytes += chunk.length;
+      if (options.onProgress) {
+        options.onProgress(copiedBytes, totalBytes);
+      }
+    });
+
+    await pipeline(input, fs.createWriteStream(destPath, { flags: start > 0 ? 'a' : 'w' }), { signal: options.signal });
+    return (await fs.promises.stat(destPath)).size;
+  }
+
+  return {
+    name: 'local directory',
+    listReleases,
+    getMetadata,
+    download
+  };
+}
+
+module.exports = {
+  createLocalDirectorySource
+};
@@ -0,0 +1,128 @@
+const { requestText, downloadToFile } = require('./http');
+const { createLogger } = require('../logger');
+const { upstreamRequestDuration, upstreamRequestErrors, sourceDownloadedBytes } = require('../metrics');
+
+const log = createLogger('sources/yandexDisk');
+
+// Yandex.Disk API base URL
+const YANDEX_API_BASE = 'https://cloud-api.yandex.net/v1/disk/public';
+
+// Path prefix stripped from API URLs for the metrics endpoint label ("resources", "resources/download")
+const YANDEX_API_PATH = '/v1/disk/public/';
+
+/**
+ * Create modpack source for a public Yandex.Disk folder
+ * @param {Object} config - Source config
+ * @param {string} config.publicUrl - Public folder URL
+ * @returns {Object} Modpack source
+ */
+function createYandexDiskSource({ publicUrl }) {
+  const publicKey = encodeURIComponent(publicUrl);
+
+  /**
+   * Make request to Yandex.Disk API
+   * Latency and errors (network failures and HTTP 4xx/5xx) are recorded per endpoint for /metrics.
+   * @param {string} url - API URL
+   * @param {Object} options - Request options (signal, stallTimeoutMs)
+   * @returns {Promise<any>} Response data
+   */
+  async function makeApiRequest(url, options = {}) {
+    const labels = { source: 'yandex', endpoint: new URL(url).pathname.slice(YANDEX_API_PATH.length) };
+    const startedAt = process.hrtime.bigint();
+    let response;
+
+    try {
+      response = await requestText(url, 'GET', options);
+    } catch (error) {
+      upstreamRequestErrors.inc(labels);
+      throw error;
+    } finally {
+      upstreamRequestDuration.observe(labels, Number(process.hrtime.bigint() - startedAt) / 1e9);
+    }
+
+    if (response.statusCode >= 400) {
+      upstreamRequestErrors.inc(labels);
+    }
+
+    try {
+      return JSON.parse(response.body);
+    } catch (error) {
+      throw new Error(`Failed to parse response: ${error.message}`);
+    }
+  }
+
+  /**
+   * List ZIP files in the public folder
+   * @returns {Promise<Array<{path: string, name: string, size: number, md5: string, sha256: string, modified: string}>>}
+   */
+  async function listReleases() {
+    const url = `${YANDEX_API_BASE}/resources?public_key=${publicKey}&limit=100`;
+    const response = await makeApiRequest(url);
+
+    if (!response._embedded || !response._embedded.items) {
+      throw new Error('No files found in Yandex.Disk folder');
+    }
+
+    return response._embedded.items
+      .filter(item => item.type === 'file' && item.name.toLowerCase().endsWith('.zip'))
+      .map(item => ({
+        path: item.path,
+        name: item.name,
+        size: item.size,
+        md5: item.md5,
+        sha256: item.sha256,
+        modified: item.modified
+      }));
+  }
+
+  /**
+   * Get size and hashes of a release (folder listing already includes them)
+   * @param {Object} release - Release from listReleases
+   * @returns {Promise<{size: number, md5: string, sha256: string}>}
+   */
+  async function getMetadata(release) {
+    if (release.md5 || release.sha256) {
+      return { size: release.size, md5: release.md5, sha256: release.sha256 };
+    }
+
+    const url = `${YANDEX_API_BASE}/resources?public_key=${publicKey}&path=${encodeURIComponent(release.path)}`;
+    const item = await makeApiRequest(url);
+    return { size: item.size, md5: item.md5, sha256: item.sha256 };
+  }
+
+  /**
+   * Download release to file
+   * @param {Object} release - Release from listReleases
+   * @param {string} destPath - Destination file path
+   * @param {Object} options - Download options (signal, stallTimeoutMs, resumeFrom, onProgress)
+   * @returns {Promise<number>} Size of destPath after download
+   */
+  async function download(release, destPath, options = {}) {
+    log.info(`Getting download link for ${release.path}...`);
+
+    // Get download link from Yandex.Disk API
+    const apiUrl = `${YANDEX_API_BASE}/resources/download?public_key=${publicKey}&path=${encodeURIComponent(release.path)}`;
+    const response = await makeApiRequest(apiUrl, options);
+
+    if (!response.href) {
+      throw new Error('Failed to get download link from Yandex.Disk');
+    }
+
+    log.info('Got download URL');
+    return downloadToFile(response.href, destPath, {
+      ...options,
+      onData: (bytes) => sourceDownloadedBytes.inc({ source: 'yandex' }, bytes)
+    });
+  }
+
+  return {
+    name: 'Yandex.Disk',
+    listReleases,
+    getMetadata,
+    download
+  };
+}
+
+module.exports = {
+  createYandexDiskSource
+};
@@ -0,0 +1,293 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { calculateFileHash, toSafeFileName, pruneOldFiles } = require('./utils');
+const { createLogger } = require('./logger');
+const { openZip, createZipWriter } = require('./zipStream');
+
+const log = createLogger('updatePackages');
+
+// Cached update packages
+const UPDATES_DIR = path.join(__dirname, '../storage/updates');
+
+// How many update packages to keep (least recently used are removed)
+const MAX_CACHED_UPDATES = parseInt(process.env.MAX_CACHED_UPDATES, 10) || 20;
+
+// Packages being generated, keyed by archive path
+const pendingPackages = new Map();
+
+// Root folder inside server archives
+const ARCHIVE_ROOT = 'minecraft-server';
+
+// Server-owned data an update must never touch (paths relative to server root)
+const PROTECTED_FILES = [
+  'ops.json',
+  'whitelist.json',
+  'banned-ips.json',
+  'banned-players.json',
+  'usercache.json',
+  'server.properties',
+  'eula.txt',
+  'start.sh',
+  'start.bat'
+];
+const PROTECTED_DIRECTORIES = ['world', 'logs', 'crash-reports', 'backups'];
+
+/**
+ * Check whether a server path is owned by the server operator
+ * @param {string} relativePath - Path relative to server root (forward slashes)
+ * @returns {boolean}
+ */
+function isProtectedPath(relativePath) {
+  if (PROTECTED_FILES.includes(relativePath)) {
+    return true;
+  }
+  // Covers world/, world_nether/, world_the_end/ and other top-level data folders
+  const topLevel = relativePath.split('/')[0];
+  return PROTECTED_DIRECTORIES.some(dir => topLevel === dir || topLevel.startsWith(`${dir}_`));
+}
+
+/**
+ * Build manifest of all files in a server directory
+ * @param {string} dirPath - Server directory
+ * @returns {Promise<Object<string, {size: number, sha256: string}>>} Files keyed by relative path
+ */
+async function createFileManifest(dirPath) {
+  const files = {};
+
+  async function walk(currentDir) {
+    const entries = await fs.promises.readdir(currentDir, { withFileTypes: true });
+
+    for (const entry of entries) {
+      const fullPath = path.join(currentDir, entry.name);
+      if (entry.isDirectory()) {
+        await walk(fullPath);
+      } else if (entry.isFile()) {
+        const relativePath = path.relative(dirPath, fullPath).split(path.sep).join('/');
+        const stats = await fs.promises.stat(fullPath);
+        files[relativePath] = {
+          size: stats.size,
+          sha256: await calculateFileHash(fullPath, 'sha256')
+        };
+      }
+    }
+  }
+
+  await walk(dirPath);
+  return files;
+}
+
+/**
+ * Compare two manifests, skipping server-owned data
+ * @param {Object} fromFiles - Manifest of installed version
+ * @param {Object} toFiles - Manifest of target version
+ * @returns {{changed: Array<string>, added: Array<string>, deleted: Array<string>}}
+ */
+function diffManifests(fromFiles, toFiles) {
+  const added = [];
+  const changed = [];
+  const deleted = [];
+
+  for (const [filePath, info] of Object.entries(toFiles)) {
+    if (isProtectedPath(filePath)) continue;
+
+    if (!fromFiles[filePath]) {
+      added.push(filePath);
+    } else if (fromFiles[filePath].sha256 !== info.sha256) {
+      changed.push(filePath);
+    }
+  }
+
+  for (const filePath of Object.keys(fromFiles)) {
+    if (!isProtectedPath(filePath) && !toFiles[filePath]) {
+      deleted.push(filePath);
+    }
+  }
+
+  return { added: added.sort(), changed: changed.sort(), deleted: deleted.sort() };
+}
+
+/**
+ * Quote string for POSIX shell
+ */
+function shellQuote(value) {
+  return `'${value.replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Generate apply-update.sh
+ * @param {string} fromVersion - Installed version
+ * @param {string} toVersion - Target version
+ * @returns {string}
+ */
+function getApplyScriptSh(fromVersion, toVersion) {
+  return `#!/bin/bash
+# IIS server update ${fromVersion} -> ${toVersion}
+# Extract this archive inside your server folder, then run this script.
+# World, ops, whitelist, server.properties and start scripts are never touched.
+set -e
+
+UPDATE_DIR="$(cd "$(dirname "$0")" && pwd)"
+SERVER_DIR="$(dirname "$UPDATE_DIR")"
+
+if [ ! -d "$SERVER_DIR/mods" ]; then
+  echo "Server folder not found at $SERVER_DIR (expected a mods/ folder)"
+  exit 1
+fi
+
+echo "Updating server in $SERVER_DIR: ${fromVersion} -> ${toVersion}"
+
+while IFS= read -r file || [ -n "$file" ]; do
+  [ -z "$file" ] && continue
+  rm -f "$SERVER_DIR/$file"
+  echo "  Deleted: $file"
+done < "$UPDATE_DIR/deleted-files.txt"
+
+if [ -d "$UPDATE_DIR/files" ]; then
+  cp -R "$UPDATE_DIR/files/." "$SERVER_DIR/"
+fi
+
+echo "Update complete. You can delete $UPDATE_DIR"
+`;
+}
+
+/**
+ * Generate apply-update.bat
+ * @param {string} fromVersion - Installed version
+ * @param {string} toVersion - Target version
+ * @param {Array<string>} deleted - Files to delete
+ * @returns {string}
+ */
+function getApplyScriptBat(fromVersion, toVersion, deleted) {
+  const deleteLines = deleted
+    .map(file => file.split('/').join('\\'))
+    .map(file => `if exist "%SERVER_DIR%\\${file}" del /q "%SERVER_DIR%\\${file}"`);
+
+  return [
+    '@echo off',
+    'chcp 65001 >nul',
+    `rem IIS server update ${fromVersion} -> ${toVersion}`,
+    'rem Extract this archive inside your server folder, then run this script.',
+    'rem World, ops, whitelist, server.properties and start scripts are never touched.',
+    'set "UPDATE_DIR=%~dp0"',
+    'set "SERVER_DIR=%~dp0.."',
+    '',
+    'if not exist "%SERVER_DIR%\\mods" (',
+    '  echo Server folder not found at %SERVER_DIR% ^(expected a mods folder^)',
+    '  pause',
+    '  exit /b 1',
+    ')',
+    '',
+    `echo Updating server: ${fromVersion} -^> ${toVersion}`,
+    ...deleteLines,
+    'if exist "%UPDATE_DIR%files" xcopy /e /y /i /q "%UPDATE_DIR%files" "%SERVER_DIR%" >nul',
+    '',
+    'echo Update complete. You can delete %UPDATE_DIR%',
+    'pause',
+    ''
+  ].join('\r\n');
+}
+
+/**
+ * Write update package: changed files streamed from the target archive, plus apply scripts
+ * @param {Object} from - Stored version entry (installed version)
+ * @param {Object} to - Stored version entry (target version)
+ * @param {{added: Array<string>, changed: Array<string>, deleted: Array<string>}} diff - Manifest diff
+ * @param {string} outputPath - Destination path
+ * @returns {Promise<void>}
+ */
+async function writeUpdatePackage(from, to, diff, outputPath) {
+  const root = `iis-update-${toSafeFileName(from.version)}-to-${toSafeFileName(to.version)}`;
+  const { zipFile, entries } = await openZip(to.archivePath);
+  const entriesByName = new Map(entries.map(entry => [entry.fileName, entry]));
+  const writer = createZipWriter(outputPath);
+
+  try {
+    for (const filePath of [...diff.added, ...diff.changed]) {
+      const entry = entriesByName.get(`${ARCHIVE_ROOT}/${filePath}`);
+      if (!entry) {
+        throw new Error(`File ${filePath} missing from ${to.version} archive`);
+      }
+      await writer.copy(zipFile, entry, `${root}/files/${filePath}`);
+    }
+
+    await writer.append(diff.deleted.join('\n') + (diff.deleted.length > 0 ? '\n' : ''), {
+      name: `${root}/deleted-files.txt`
+    });
+    await writer.append(getApplyScriptSh(from.version, to.version), {
+      name: `${root}/apply-update.sh`,
+      mode: 0o755
+    });
+    await writer.append(getApplyScriptBat(from.version, to.version, diff.deleted), {
+      name: `${root}/apply-update.bat`
+    });
+    await writer.finish();
+  } catch (error) {
+    await writer.abort();
+    throw error;
+  } finally {
+    zipFile.close();
+  }
+}
+
+/**
+ * Get update package between two stored versions, creating it if not cached
+ * Concurrent requests for the same package share one generation.
+ * @param {Object} from - Stored version entry with manifest (installed version)
+ * @param {Object} to - Stored version entry with manifest (target version)
+ * @returns {Promise<{archivePath: string, added: Array<string>, changed: Array<string>, deleted: Array<string>}>}
+ */
+async function getUpdatePackage(from, to) {
+  fs.mkdirSync(UPDATES_DIR, { recursive: true });
+
+  const diff = diffManifests(from.manifest, to.manifest);
+  const key = crypto.createHash('sha256')
+    .update(`${from.sha256}:${to.sha256}`)
+    .digest('hex')
+    .slice(0, 16);
+  const archivePath = path.join(
+    UPDATES_DIR,
+    `${toSafeFileName(from.version)}_to_${toSafeFileName(to.version)}-${key}.zip`
+  );
+
+  if (fs.existsSync(archivePath)) {
+    const now = new Date();
+    fs.utimesSync(archivePath, now, now);
+    return { archivePath, ...diff };
+  }
+
+  if (!pendingPackages.has(archivePath)) {
+    log.info(`Creating update package ${from.version} -> ${to.version} ` +
+      `(${diff.added.length} added, ${diff.changed.length} changed, ${diff.deleted.length} deleted)`);
+
+    const tempPath = `${archivePath}.tmp`;
+    const pending = writeUpdatePackage(from, to, diff, tempPath)
+      .then(() => {
+        fs.renameSync(tempPath, archivePath);
+        pruneOldFiles(UPDATES_DIR, MAX_CACHED_UPDATES);
+      }, (error) => {
+        fs.rmSync(tempPath, { force: true });
+        throw error;
+      })
+      .finally(() => pendingPackages.delete(archivePath));
+    pendingPackages.set(archivePath, pending);
+  }
+
+  await pendingPackages.get(archivePath);
+  return { archivePath, ...diff };
+}
+
+/**
+ * Delete all cached update packages
+ * @returns {{files: number, bytes: number}} Removed files and their total size
+ */
+function purgeUpdatePackages() {
+  return pruneOldFiles(UPDATES_DIR, 0);
+}
+
+module.exports = {
+  createFileManifest,
+  diffManifests,
+  getUpdatePackage,
+  purgeUpdatePackages
+};
@@ -0,0 +1,150 @@
+const { checkForUpdate } = require('./driveClient');
+const { getPinnedVersion } = require('./versionStore');
+const { getCurrentVersion, hasBuiltServer } = require('./utils');
+const { createLogger } = require('./logger');
+
+const log = createLogger('updateScheduler');
+
+// Interval between update checks (0 disables the scheduler)
+const CHECK_INTERVAL_MINUTES = parseFloat(process.env.UPDATE_CHECK_INTERVAL_MINUTES || '15');
+
+// Upper limit for the delay after repeated failures
+const MAX_BACKOFF_MINUTES = parseFloat(process.env.UPDATE_CHECK_MAX_BACKOFF_MINUTES || '240');
+
+// Scheduler state
+let timer = null;
+let hooks = null;
+let consecutiveFailures = 0;
+let lastCheckAt = null;
+let lastCheckResult = null;
+let lastError = null;
+let nextCheckAt = null;
+
+/**
+ * Start polling Yandex.Disk for new modpack versions
+ * @param {Object} options - Scheduler hooks
+ * @param {Function} options.isBuildInProgress - Returns true while a build is running
+ * @param {Function} options.startBuild - Starts a build for update info, returns a Promise (false when a build is already running)
+ */
+function startScheduler(options) {
+  if (CHECK_INTERVAL_MINUTES <= 0) {
+    log.info('Update scheduler disabled (UPDATE_CHECK_INTERVAL_MINUTES=0)');
+    return;
+  }
+
+  hooks = options;
+  log.info(`Update scheduler started (every ${CHECK_INTERVAL_MINUTES} min)`);
+
+  // First check shortly after startup so a missing build is prepared early
+  scheduleNextCheck(10 * 1000);
+}
+
+/**
+ * Stop the scheduler and clear pending check
+ */
+function stopScheduler() {
+  if (timer) {
+    clearTimeout(timer);
+    timer = null;
+  }
+  nextCheckAt = null;
+}
+
+/**
+ * Schedule next update check
+ * @param {number} delayMs - Delay in milliseconds
+ */
+function scheduleNextCheck(delayMs) {
+  stopScheduler();
+  nextCheckAt = new Date(Date.now() + delayMs);
+  timer = setTimeout(runCheck, delayMs);
+}
+
+/**
+ * Get delay before next check, backing off exponentially after failures
+ * @returns {number} Delay in milliseconds
+ */
+function getNextDelay() {
+  const intervalMs = CHECK_INTERVAL_MINUTES * 60 * 1000;
+  if (consecutiveFailures === 0) {
+    return intervalMs;
+  }
+
+  const backoffMs = intervalMs * Math.pow(2, consecutiveFailures);
+  return Math.min(backoffMs, MAX_BACKOFF_MINUTES * 60 * 1000);
+}
+
+/**
+ * Check for update and pre-build new version in the background
+ */
+async function runCheck() {
+  timer = null;
+  nextCheckAt = null;
+  lastCheckAt = new Date();
+
+  try {
+    if (hooks.isBuildInProgress()) {
+      lastCheckResult = 'build-in-progress';
+      log.info('Scheduled check skipped: build already in progress');
+    } else if (getPinnedVersion()) {
+      lastCheckResult = 'pinned';
+      log.info('Scheduled check skipped: version is pinned');
+    } else {
+      const currentVersion = getCurrentVersion();
+      // Always ask the source: cached metadata would delay new versions by one check
+      const updateInfo = await checkForUpdate(currentVersion || 'none', { refresh: true });
+
+      if (updateInfo.offline) {
+        lastCheckResult = 'offline';
+        log.info('Scheduled check skipped: offline mode');
+      } else if (updateInfo.hasUpdate || !hasBuiltServer()) {
+        // A manual build may have started while the source was being checked
+        const build = hooks.startBuild(updateInfo);
+        if (!build) {
+          lastCheckResult = 'build-in-progress';
+          log.info('Scheduled check skipped: build already in progress');
+        } else {
+          lastCheckResult = 'building';
+          log.info(`Scheduled check found ${updateInfo.latestVersion}, pre-building`);
+          await build;
+          lastCheckResult = 'built';
+        }
+      } else {
+        lastCheckResult = 'up-to-date';
+      }
+    }
+
+    consecutiveFailures = 0;
+    lastError = null;
+
+  } catch (error) {
+    consecutiveFailures++;
+    lastCheckResult = 'error';
+    lastError = error.message;
+    log.error(`Scheduled update check failed (${consecutiveFailures} in a row): ${error.message}`);
+  }
+
+  scheduleNextCheck(getNextDelay());
+}
+
+/**
+ * Get scheduler status for /version
+ * @returns {Object} Scheduler status
+ */
+function getSchedulerStatus() {
+  return {
+    enabled: CHECK_INTERVAL_MINUTES > 0,
+    intervalMinutes: CHECK_INTERVAL_MINUTES,
+    lastCheckAt: lastCheckAt ? lastCheckAt.toISOString() : null,
+    lastCheckResult: lastCheckResult,
+    lastError: lastError,
+    consecutiveFailures: consecutiveFailures,
+    nextCheckAt: nextCheckAt ? nextCheckAt.toISOString() : null
+  };
+}
+
+module.exports = {
+  startScheduler,
+  stopScheduler,
+  getSchedulerStatus
+};
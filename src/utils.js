@@ -1,5 +1,9 @@
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+
+const log = createLogger('utils');
 
 /**
  * Recursively copy directory
@@ -78,37 +82,196 @@ function getFileSizeMB(filePath) {
   return `${sizeMB} MB`;
 }
 
+/**
+ * Make string safe for use as a filename (keeps letters incl. Cyrillic, digits, dots, dashes)
+ * @param {string} name - Raw name (e.g., "ИИС v1.19.1")
+ * @returns {string} Safe filename part
+ */
+function toSafeFileName(name) {
+  return String(name).replace(/[^\p{L}\p{N}._-]+/gu, '_');
+}
+
+/**
+ * Delete least recently modified .zip files in a cache directory over the limit
+ * @param {string} dirPath - Cache directory
+ * @param {number} keep - Number of files to keep (0 empties the cache)
+ * @returns {{files: number, bytes: number}} Removed files and their total size
+ */
+function pruneOldFiles(dirPath, keep) {
+  const removed = { files: 0, bytes: 0 };
+  if (!fs.existsSync(dirPath)) {
+    return removed;
+  }
+
+  const files = fs.readdirSync(dirPath)
+    .filter(name => name.endsWith('.zip'))
+    .map(name => {
+      const stats = fs.statSync(path.join(dirPath, name));
+      return { name, mtime: stats.mtimeMs, size: stats.size };
+    })
+    .sort((a, b) => b.mtime - a.mtime);
+
+  for (const file of files.slice(keep)) {
+    fs.unlinkSync(path.join(dirPath, file.name));
+    log.info(`Pruned cached archive ${file.name}`);
+    removed.files++;
+    removed.bytes += file.size;
+  }
+
+  return removed;
+}
+
+/**
+ * Calculate hash of a file using a read stream
+ * @param {string} filePath - Path to file
+ * @param {string} algorithm - Hash algorithm (e.g., "md5", "sha256")
+ * @returns {Promise<string>} Hex digest
+ */
+function calculateFileHash(filePath, algorithm) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash(algorithm);
+    const stream = fs.createReadStream(filePath);
+
+    stream.on('data', (data) => hash.update(data));
+    stream.on('end', () => resolve(hash.digest('hex')));
+    stream.on('error', reject);
+  });
+}
+
+/**
+ * Run a build phase under its own time limit
+ * The phase signal aborts when the build is cancelled or the limit is reached;
+ * whatever the phase throws afterwards is replaced by the abort reason.
+ * @param {AbortSignal} signal - Build signal
+ * @param {number} timeoutMs - Phase time limit (0 disables)
+ * @param {string} phase - Phase name used in the timeout error (e.g., "Download")
+ * @param {Function} fn - Receives the phase signal, returns a Promise
+ * @returns {Promise<any>} Result of fn
+ */
+async function runPhase(signal, timeoutMs, phase, fn) {
+  signal.throwIfAborted();
+
+  const controller = new AbortController();
+  const onAbort = () => controller.abort(signal.reason);
+  signal.addEventListener('abort', onAbort, { once: true });
+
+  const limit = timeoutMs >= 60000 ? `${Math.round(timeoutMs / 60000)} min` : `${Math.round(timeoutMs / 1000)} s`;
+  const timer = timeoutMs > 0
+    ? setTimeout(() => controller.abort(new Error(`${phase} timed out after ${limit}`)), timeoutMs)
+    : null;
+
+  try {
+    return await fn(controller.signal);
+  } catch (error) {
+    throw controller.signal.aborted ? controller.signal.reason : error;
+  } finally {
+    clearTimeout(timer);
+    signal.removeEventListener('abort', onAbort);
+  }
+}
+
+// Pre-release tags in ascending order (a release without tag sorts after all of them)
+const PRERELEASE_TAGS = ['alpha', 'beta', 'pre', 'rc'];
+const PRERELEASE_ALIASES = { a: 'alpha', b: 'beta', preview: 'pre' };
+
+/**
+ * Parse version string into comparable parts
+ * Supports "v1.09.3", "1.19.1", "v1.20-beta2", "v1.20 rc1", "v1.20pre1"
+ * @param {string} text - Version string
+ * @returns {{label: string, numbers: Array<number>, prerelease: {tag: string, number: number}|null}|null}
+ *   null when text is not a recognizable version
+ */
+function parseVersion(text) {
+  const match = String(text).trim().match(
+    /^v?(\d+(?:\.\d+)*)(?:[-_ .]?(alpha|beta|preview|pre|rc|a|b)[-_ .]?(\d*))?$/i
+  );
+  if (!match) {
+    return null;
+  }
+
+  let prerelease = null;
+  if (match[2]) {
+    const tag = match[2].toLowerCase();
+    prerelease = {
+      tag: PRERELEASE_ALIASES[tag] || tag,
+      number: match[3] ? parseInt(match[3], 10) : 0
+    };
+  }
+
+  return {
+    label: String(text).trim(),
+    numbers: match[1].split('.').map(part => parseInt(part, 10)),
+    prerelease
+  };
+}
+
 /**
  * Extract version from filename
- * Supports formats: "IIS-v1.09.3.zip", "ИИС v1.19.1.zip", "IIS v1.09.3.zip"
+ * Supports formats: "IIS-v1.09.3.zip", "ИИС v1.19.1.zip", "IIS v1.09.3.zip", "IIS v1.20-beta2.zip"
  * @param {string} filename - Modpack filename
- * @returns {string} Extracted version
+ * @returns {{label: string, numbers: Array<number>, prerelease: Object|null, parsed: boolean}}
+ *   Comparable version; parsed is false when the filename has no recognizable version
+ *   (label is then the filename without extension)
  */
 function extractVersionFromFilename(filename) {
   // Try different patterns
   const patterns = [
-    /IIS[-\s]+(v[\d.]+)\.zip/i,  // IIS-v1.09.3 or IIS v1.09.3
-    /ИИС\s+(v[\d.]+)\.zip/i       // ИИС v1.19.1
+    /IIS[-_\s]+(v?\d[\w.\s-]*?)\.zip$/i,  // IIS-v1.09.3 or IIS v1.09.3
+    /ИИС[-_\s]+(v?\d[\w.\s-]*?)\.zip$/i   // ИИС v1.19.1
   ];
 
   for (const pattern of patterns) {
     const match = filename.match(pattern);
-    if (match) {
-      return match[1];
+    const version = match ? parseVersion(match[1]) : null;
+    if (version) {
+      return { ...version, parsed: true };
     }
   }
 
-  // Fallback - return filename without extension
-  return filename.replace(/\.zip$/i, '');
+  // Fallback - filename without extension, not comparable
+  return {
+    label: filename.replace(/\.zip$/i, ''),
+    numbers: [],
+    prerelease: null,
+    parsed: false
+  };
 }
 
 /**
- * Log with timestamp
- * @param {string} message - Message to log
+ * Compare two versions (strings or results of parseVersion/extractVersionFromFilename)
+ * Numeric segments compare as numbers ("v1.09.3" < "v1.19.1", "v1.9" == "v1.09"),
+ * pre-releases sort before the release ("v1.20-rc1" < "v1.20")
+ * @param {string|Object} a - First version
+ * @param {string|Object} b - Second version
+ * @returns {number} Negative if a < b, positive if a > b, 0 if equal
  */
-function log(message) {
-  const timestamp = new Date().toISOString();
-  console.log(`[${timestamp}] ${message}`);
+function compareVersions(a, b) {
+  const versionA = typeof a === 'string' ? parseVersion(a) : a;
+  const versionB = typeof b === 'string' ? parseVersion(b) : b;
+
+  // Unparseable versions sort before any real version
+  const validA = versionA && versionA.numbers.length > 0;
+  const validB = versionB && versionB.numbers.length > 0;
+  if (!validA || !validB) {
+    return (validA ? 1 : 0) - (validB ? 1 : 0);
+  }
+
+  const length = Math.max(versionA.numbers.length, versionB.numbers.length);
+  for (let i = 0; i < length; i++) {
+    const diff = (versionA.numbers[i] || 0) - (versionB.numbers[i] || 0);
+    if (diff !== 0) {
+      return diff;
+    }
+  }
+
+  const preA = versionA.prerelease;
+  const preB = versionB.prerelease;
+  if (!preA || !preB) {
+    return (preA ? -1 : 0) - (preB ? -1 : 0);
+  }
+
+  return (PRERELEASE_TAGS.indexOf(preA.tag) - PRERELEASE_TAGS.indexOf(preB.tag)) ||
+    (preA.number - preB.number);
 }
 
 module.exports = {
@@ -118,6 +281,11 @@ module.exports = {
   saveCurrentVersion,
   hasBuiltServer,
   getFileSizeMB,
+  toSafeFileName,
+  pruneOldFiles,
+  calculateFileHash,
+  runPhase,
+  parseVersion,
   extractVersionFromFilename,
-  log
+  compareVersions
 };
@@ -0,0 +1,390 @@
+const fs = require('fs');
+const path = require('path');
+const { calculateFileHash, toSafeFileName } = require('./utils');
+const { createLogger } = require('./logger');
+const { createSignedManifest } = require('./checksums');
+
+const log = createLogger('versionStore');
+
+// Directory holding archived builds and their index
+const VERSIONS_DIR = path.join(__dirname, '../storage/versions');
+const INDEX_FILE = path.join(VERSIONS_DIR, 'index.json');
+
+// Pinned version served by /download while auto-updates are held
+const PIN_FILE = path.join(__dirname, '../storage/pinned.json');
+
+// Files stored next to each archive (e.g. "v1.09.3.manifest.json"), removed together with it
+const SIDECAR_SUFFIXES = {
+  manifest: '.manifest.json',
+  checksums: '.checksums.json',
+  mods: '.mods.json',
+  changelog: '.changelog.json'
+};
+
+// How many built versions to keep on disk (current and pinned versions are never pruned)
+const MAX_STORED_VERSIONS = parseInt(process.env.MAX_STORED_VERSIONS, 10) || 5;
+
+/**
+ * Convert version string to a safe archive filename
+ * @param {string} version - Version string (e.g., "v1.09.3")
+ * @returns {string} Filename inside versions directory
+ */
+function getArchiveFileName(version) {
+  return `${toSafeFileName(version)}.zip`;
+}
+
+/**
+ * Get filename of a file stored next to a version archive
+ * @param {string} archiveFileName - Archive filename (e.g., "v1.09.3.zip")
+ * @param {string} kind - Key of SIDECAR_SUFFIXES
+ * @returns {string}
+ */
+function getSidecarFileName(archiveFileName, kind) {
+  return archiveFileName.replace(/\.zip$/, SIDECAR_SUFFIXES[kind]);
+}
+
+/**
+ * Write (or remove, when data is null) a file stored next to a version archive
+ * @param {string} archiveFileName - Archive filename
+ * @param {string} kind - Key of SIDECAR_SUFFIXES
+ * @param {Object|null} data - JSON data
+ */
+function writeSidecar(archiveFileName, kind, data) {
+  const filePath = path.join(VERSIONS_DIR, getSidecarFileName(archiveFileName, kind));
+  if (data) {
+    fs.writeFileSync(filePath, JSON.stringify(data), 'utf8');
+  } else if (fs.existsSync(filePath)) {
+    fs.unlinkSync(filePath);
+  }
+}
+
+/**
+ * Read a file stored next to a version archive
+ * @param {string} version - Version string
+ * @param {string} kind - Key of SIDECAR_SUFFIXES
+ * @returns {Object|null} Parsed JSON, or null for unknown versions and builds without that file
+ */
+function readSidecar(version, kind) {
+  const entry = readIndex().find(e => e.version === version);
+  if (!entry) {
+    return null;
+  }
+
+  const filePath = path.join(VERSIONS_DIR, getSidecarFileName(entry.file, kind));
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Get download file name of a version archive
+ * @param {string} version - Version string
+ * @returns {string}
+ */
+function getDownloadFileName(version) {
+  return `IIS-Server-${version}.zip`;
+}
+
+/**
+ * Sign checksums of a stored version and save them next to its archive
+ * @param {Object} entry - Index entry
+ * @param {Object} manifest - Files keyed by relative path
+ * @returns {{manifest: Object, signature: string}}
+ */
+function writeChecksums(entry, manifest) {
+  const signed = createSignedManifest(entry, getDownloadFileName(entry.version), manifest);
+  writeSidecar(entry.file, 'checksums', signed);
+  return signed;
+}
+
+/**
+ * Read versions index from storage
+ * @returns {Array<{version: string, file: string, size: number, builtAt: string, sha256: string}>}
+ */
+function readIndex() {
+  if (!fs.existsSync(INDEX_FILE)) {
+    return [];
+  }
+
+  try {
+    const entries = JSON.parse(fs.readFileSync(INDEX_FILE, 'utf8'));
+    return Array.isArray(entries) ? entries : [];
+  } catch (error) {
+    log.warn(`Could not read versions index: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Write versions index to storage
+ * @param {Array<Object>} entries - Index entries
+ */
+function writeIndex(entries) {
+  fs.mkdirSync(VERSIONS_DIR, { recursive: true });
+  const tempFile = `${INDEX_FILE}.tmp`;
+  fs.writeFileSync(tempFile, JSON.stringify(entries, null, 2), 'utf8');
+  fs.renameSync(tempFile, INDEX_FILE);
+}
+
+/**
+ * Store a built server archive under its version
+ * @param {string} version - Version string
+ * @param {string} archivePath - Path to built server archive
+ * @param {Object} data - Optional build data stored with the archive
+ * @param {Object} data.manifest - File manifest (relative path -> size/sha256), used for update packages and checksums
+ * @param {Object} data.mods - Mod inventory ({mods, removed}), served at /mods
+ * @param {Object} data.changelog - Changes since the previous build, served at /changelog
+ * @returns {Promise<Object>} Stored version entry
+ */
+async function storeVersion(version, archivePath, data = {}) {
+  fs.mkdirSync(VERSIONS_DIR, { recursive: true });
+
+  const fileName = getArchiveFileName(version);
+  const destPath = path.join(VERSIONS_DIR, fileName);
+  fs.copyFileSync(archivePath, destPath);
+
+  writeSidecar(fileName, 'manifest', data.manifest || null);
+  writeSidecar(fileName, 'mods', data.mods || null);
+  writeSidecar(fileName, 'changelog', data.changelog || null);
+
+  const entry = {
+    version: version,
+    file: fileName,
+    size: fs.statSync(destPath).size,
+    builtAt: new Date().toISOString(),
+    sha256: await calculateFileHash(destPath, 'sha256')
+  };
+
+  if (data.manifest) {
+    writeChecksums(entry, data.manifest);
+  } else {
+    writeSidecar(fileName, 'checksums', null);
+  }
+
+  // Newest build first, replacing any previous build of the same version
+  const entries = readIndex().filter(e => e.version !== version);
+  entries.unshift(entry);
+  writeIndex(pruneVersions(entries, version));
+
+  log.info(`Stored version ${version} (${fileName})`);
+  return entry;
+}
+
+/**
+ * Delete archive and its sidecar files of an index entry
+ * @param {Object} entry - Index entry
+ * @returns {number} Freed bytes
+ */
+function deleteVersionFiles(entry) {
+  let bytes = 0;
+  const files = [entry.file, ...Object.keys(SIDECAR_SUFFIXES).map(kind => getSidecarFileName(entry.file, kind))];
+
+  for (const file of files) {
+    const filePath = path.join(VERSIONS_DIR, file);
+    if (fs.existsSync(filePath)) {
+      bytes += fs.statSync(filePath).size;
+      fs.unlinkSync(filePath);
+    }
+  }
+
+  return bytes;
+}
+
+/**
+ * Drop the oldest versions over the retention limit
+ * @param {Array<Object>} entries - Index entries, newest first
+ * @param {string} keepVersion - Version that must never be pruned
+ * @returns {Array<Object>} Remaining entries
+ */
+function pruneVersions(entries, keepVersion) {
+  const kept = [];
+  const pinned = getPinnedVersion();
+
+  for (const entry of entries) {
+    if (kept.length < MAX_STORED_VERSIONS || entry.version === keepVersion ||
+      (pinned && entry.version === pinned.version)) {
+      kept.push(entry);
+      continue;
+    }
+
+    deleteVersionFiles(entry);
+    log.info(`Pruned old version ${entry.version}`);
+  }
+
+  return kept;
+}
+
+/**
+ * Delete all stored versions except the given ones
+ * @param {Array<string>} keepVersions - Versions to keep (current, pinned)
+ * @returns {{files: number, bytes: number}} Removed versions and freed bytes
+ */
+function purgeVersions(keepVersions) {
+  const removed = { files: 0, bytes: 0 };
+  const kept = [];
+
+  for (const entry of readIndex()) {
+    if (keepVersions.includes(entry.version)) {
+      kept.push(entry);
+      continue;
+    }
+
+    removed.bytes += deleteVersionFiles(entry);
+    removed.files++;
+    log.info(`Purged stored version ${entry.version}`);
+  }
+
+  writeIndex(kept);
+  return removed;
+}
+
+/**
+ * Get pinned version
+ * @returns {{version: string, pinnedAt: string, reason: string}|null}
+ */
+function getPinnedVersion() {
+  if (!fs.existsSync(PIN_FILE)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(PIN_FILE, 'utf8'));
+  } catch (error) {
+    log.warn(`Could not read pinned version: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Pin a stored version: /download serves it and automatic builds are held
+ * @param {string} version - Stored version
+ * @param {string} reason - Optional note shown in /version
+ * @returns {{version: string, pinnedAt: string, reason: string}}
+ */
+function pinVersion(version, reason = '') {
+  if (!getVersion(version)) {
+    throw new Error(`Version ${version} is not stored`);
+  }
+
+  const pin = { version: version, pinnedAt: new Date().toISOString(), reason: reason };
+  fs.writeFileSync(PIN_FILE, JSON.stringify(pin, null, 2), 'utf8');
+  log.info(`Pinned version ${version}`);
+  return pin;
+}
+
+/**
+ * Remove version pin
+ * @returns {boolean} True if a version was pinned
+ */
+function unpinVersion() {
+  if (!fs.existsSync(PIN_FILE)) {
+    return false;
+  }
+
+  fs.unlinkSync(PIN_FILE);
+  log.info('Version unpinned');
+  return true;
+}
+
+/**
+ * List stored versions, newest first (only those whose archive exists)
+ * @returns {Array<{version: string, size: number, builtAt: string, sha256: string}>}
+ */
+function listVersions() {
+  return readIndex()
+    .filter(entry => fs.existsSync(path.join(VERSIONS_DIR, entry.file)))
+    .map(entry => ({
+      version: entry.version,
+      size: entry.size,
+      builtAt: entry.builtAt,
+      sha256: entry.sha256
+    }));
+}
+
+/**
+ * Find stored version and its archive path
+ * @param {string} version - Version string
+ * @returns {{version: string, size: number, builtAt: string, sha256: string, archivePath: string}|null}
+ */
+function getVersion(version) {
+  const entry = readIndex().find(e => e.version === version);
+  if (!entry) {
+    return null;
+  }
+
+  const archivePath = path.join(VERSIONS_DIR, entry.file);
+  if (!fs.existsSync(archivePath)) {
+    return null;
+  }
+
+  return { ...entry, archivePath };
+}
+
+/**
+ * Load file manifest of a stored version
+ * @param {string} version - Version string
+ * @returns {Object|null} Files keyed by relative path, or null for builds without manifest
+ */
+function getVersionManifest(version) {
+  return readSidecar(version, 'manifest');
+}
+
+/**
+ * Load mod inventory of a stored version
+ * @param {string} version - Version string
+ * @returns {{mods: Array<Object>, removed: Array<Object>}|null} Null for builds without inventory
+ */
+function getVersionMods(version) {
+  return readSidecar(version, 'mods');
+}
+
+/**
+ * Load changelog of a stored version
+ * @param {string} version - Version string
+ * @returns {Object|null} Null for builds without changelog
+ */
+function getVersionChangelog(version) {
+  return readSidecar(version, 'changelog');
+}
+
+/**
+ * Load signed checksums of a stored version
+ * Versions stored before signing was added are signed on first request.
+ * @param {string} version - Version string
+ * @returns {{manifest: Object, signature: string}|null} Null for unknown versions and builds without manifest
+ */
+function getVersionChecksums(version) {
+  const entry = readIndex().find(e => e.version === version);
+  if (!entry || !fs.existsSync(path.join(VERSIONS_DIR, entry.file))) {
+    return null;
+  }
+
+  const checksums = readSidecar(version, 'checksums');
+  if (checksums) {
+    return checksums;
+  }
+
+  const manifest = getVersionManifest(version);
+  if (!manifest) {
+    return null;
+  }
+
+  log.info(`Signing checksums of stored version ${version}`);
+  return writeChecksums(entry, manifest);
+}
+
+module.exports = {
+  storeVersion,
+  listVersions,
+  getVersion,
+  getVersionManifest,
+  getVersionChecksums,
+  getVersionMods,
+  getVersionChangelog,
+  purgeVersions,
+  getPinnedVersion,
+  pinVersion,
+  unpinVersion
+};
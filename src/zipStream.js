@@ -0,0 +1,115 @@
+const fs = require('fs');
+const archiver = require('archiver');
+const yauzl = require('yauzl');
+
+/**
+ * Read ZIP central directory without loading entry data
+ * @param {string} zipPath - Archive path
+ * @returns {Promise<{zipFile: Object, entries: Array<Object>}>} Call zipFile.close() when done
+ */
+async function openZip(zipPath) {
+  const zipFile = await yauzl.openPromise(zipPath, { autoClose: false });
+  const entries = [];
+  try {
+    for await (const entry of zipFile.eachEntry()) {
+      entries.push(entry);
+    }
+  } catch (error) {
+    zipFile.close();
+    throw error;
+  }
+  return { zipFile, entries };
+}
+
+/**
+ * Read one entry into memory (small text files such as server.properties)
+ * @param {Object} zipFile - Opened archive
+ * @param {Object} entry - Entry from openZip
+ * @returns {Promise<Buffer>}
+ */
+async function readZipEntry(zipFile, entry) {
+  const chunks = [];
+  for await (const chunk of await zipFile.openReadStreamPromise(entry)) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Create ZIP archive on disk that is written one entry at a time
+ * Each append resolves once its entry is compressed, so copying a large
+ * archive keeps a single entry stream open and memory stays bounded.
+ * @param {string} outputPath - Destination path (callers write to a temp path and rename)
+ * @returns {{append: Function, copy: Function, finish: Function, abort: Function}}
+ */
+function createZipWriter(outputPath) {
+  const output = fs.createWriteStream(outputPath);
+  const archive = archiver('zip', { zlib: { level: 6 } });
+
+  const failed = new Promise((resolve, reject) => {
+    output.on('error', reject);
+    archive.on('error', reject);
+  });
+  // Only awaited through Promise.race below
+  failed.catch(() => {});
+  const closed = new Promise(resolve => output.on('close', resolve));
+
+  archive.pipe(output);
+
+  /**
+   * Append entry and wait until it is written
+   * @param {Buffer|string|Stream|null} source - Entry contents (null for directories)
+   * @param {Object} data - archiver entry data (name, mode, date, type)
+   * @returns {Promise<void>}
+   */
+  function append(source, data) {
+    const written = new Promise(resolve => archive.once('entry', resolve));
+    archive.append(source, data);
+    return Promise.race([written, failed]);
+  }
+
+  /**
+   * Copy entry from an opened archive, streaming its data
+   * @param {Object} zipFile - Opened source archive
+   * @param {Object} entry - Entry from openZip
+   * @param {string} name - Name in the new archive
+   * @returns {Promise<void>}
+   */
+  async function copy(zipFile, entry, name) {
+    const data = { name, date: entry.getLastModDate() };
+    const mode = (entry.externalFileAttributes >>> 16) & 0o7777;
+    if (mode) data.mode = mode;
+
+    if (entry.fileName.endsWith('/')) {
+      return append(null, { ...data, type: 'directory' });
+    }
+    return append(await Promise.race([zipFile.openReadStreamPromise(entry), failed]), data);
+  }
+
+  /**
+   * Finalize archive and wait until the file is closed
+   * @returns {Promise<void>}
+   */
+  async function finish() {
+    archive.finalize();
+    await Promise.race([closed, failed]);
+  }
+
+  /**
+   * Stop writing (the partial file is left for the caller to remove)
+   * @returns {Promise<void>} Resolves once the file is closed
+   */
+  function abort() {
+    archive.abort();
+    output.destroy();
+    return closed;
+  }
+
+  return { append, copy, finish, abort };
+}
+
+module.exports = {
+  openZip,
+  readZipEntry,
+  createZipWriter
+};